@@ -0,0 +1,133 @@
+/**
+ * @module Cache
+ * @description Cache adapters used by the Http client to store indexer responses.
+ * Any object implementing `get(key)`, `set(key, value)`, `delete(key)` and `keys()`
+ * (synchronously or returning promises) can be passed as the `cache` client option,
+ * which allows backing the cache with localStorage, IndexedDB or a Redis-like store.
+ */
+
+export const DEFAULT_CACHE_TTL = {
+  default: 30 * 1000,
+  accounts: 30 * 1000,
+  exchanges: 10 * 1000,
+  hubs: 60 * 1000,
+  posts: 60 * 1000,
+  releases: 30 * 1000,
+  subscriptions: 30 * 1000,
+}
+
+/** Class representing an in-memory cache adapter with least-recently-used eviction */
+export class MemoryCache {
+  /**
+   * @param {Object} [options = {}]
+   * @param {Number} [options.maxEntries = 500] - The number of entries kept before the least recently used are evicted.
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries
+    this.entries = {}
+  }
+
+  get(key) {
+    if (!Object.prototype.hasOwnProperty.call(this.entries, key)) {
+      return undefined
+    }
+
+    // re-insert so that the key moves to the end of the iteration order
+    const value = this.entries[key]
+    delete this.entries[key]
+    this.entries[key] = value
+
+    return value
+  }
+
+  set(key, value) {
+    delete this.entries[key]
+    this.entries[key] = value
+
+    const keys = Object.keys(this.entries)
+
+    if (keys.length > this.maxEntries) {
+      keys
+        .slice(0, keys.length - this.maxEntries)
+        .forEach((evictedKey) => delete this.entries[evictedKey])
+    }
+  }
+
+  delete(key) {
+    delete this.entries[key]
+  }
+
+  keys() {
+    return Object.keys(this.entries)
+  }
+
+  clear() {
+    this.entries = {}
+  }
+}
+
+/** Class representing a cache adapter backed by a Web Storage object such as localStorage */
+export class StorageCache {
+  /**
+   * @param {Storage} storage - A Web Storage implementation (window.localStorage, window.sessionStorage).
+   * @param {Object} [options = {}]
+   * @param {String} [options.prefix = 'nina:'] - The prefix namespacing the keys written by the SDK.
+   */
+  constructor(storage, { prefix = 'nina:' } = {}) {
+    this.storage = storage
+    this.prefix = prefix
+  }
+
+  get(key) {
+    const value = this.storage.getItem(`${this.prefix}${key}`)
+
+    return value ? JSON.parse(value) : undefined
+  }
+
+  set(key, value) {
+    try {
+      this.storage.setItem(`${this.prefix}${key}`, JSON.stringify(value))
+    } catch (error) {
+      console.warn('unable to write to cache storage: ', error)
+    }
+  }
+
+  delete(key) {
+    this.storage.removeItem(`${this.prefix}${key}`)
+  }
+
+  keys() {
+    const keys = []
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i)
+
+      if (key && key.startsWith(this.prefix)) {
+        keys.push(key.slice(this.prefix.length))
+      }
+    }
+
+    return keys
+  }
+
+  clear() {
+    this.keys().forEach((key) => this.delete(key))
+  }
+}
+
+/**
+ * @function cacheKeyMatchesPath
+ * @description Determines whether a cache key belongs to a path or any of its sub-routes,
+ * so that invalidating `/hubs/nina` does not also drop `/hubs/ninas-picks`.
+ * @param {String} key - The cache key.
+ * @param {String} path - The path being invalidated.
+ * @returns {Boolean}
+ */
+export const cacheKeyMatchesPath = (key, path) => {
+  if (!key.startsWith(path)) {
+    return false
+  }
+
+  const next = key.charAt(path.length)
+
+  return next === '' || next === '/' || next === '?' || next === '#'
+}
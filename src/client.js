@@ -1,24 +1,32 @@
 import * as anchor from '@project-serum/anchor'
+import Confirmation from './confirmation'
 import Http from './http'
+import Metadata from './metadata'
+import Pda from './pda'
 import Account from './resources/accounts'
 import Exchange from './resources/exchanges'
 import Hub from './resources/hubs'
 import Post from './resources/posts'
 import Release from './resources/releases'
+import Search from './resources/search'
 import Subscription from './resources/subscriptions'
 import Uploader from './resources/uploader'
 import Wallet from './resources/wallet'
+import Signer from './signer'
+import Sync from './sync'
+import Transactions from './transactions'
 import {
+  decimalsForMint,
   isSol,
   isUsdc,
-  nativeToUiString,
-  decimalsForMint,
   nativeToUi,
+  nativeToUiString,
   uiToNative,
 } from './utils'
+import Watcher from './watcher'
 
 /** Class Representing the Nina Client */
-class NinaClient {
+export class NinaClient {
   constructor() {
     this.provider = null
     this.program = null
@@ -28,15 +36,23 @@ class NinaClient {
     this.connection = null
     this.apiKey = null
     this.cluster = 'mainnet'
+    this.http = null
+    this.sync = null
+    this.pda = null
 
     this.Account = null
+    this.Confirmation = null
     this.Exchange = null
     this.Hub = null
+    this.Metadata = null
     this.Post = null
     this.Release = null
+    this.Search = null
     this.Subscription = null
+    this.Transactions = null
     this.Uploader = null
     this.Wallet = null
+    this.Watcher = null
   }
 
   /**
@@ -46,6 +62,27 @@ class NinaClient {
    * @param {String} rpcEndpoint - Solana RPC URL (https://api.mainnet-beta.solana.com)
    * @param {String} cluster - mainnet or devnet
    * @param {String} programId - Nina Program Id (ninaN2tm9vUkxoanvGcNApEeWiidLMM2TdBX8HoJuL4)
+   * @param {String} [apiKey] - Nina API key.
+   * @param {Keypair|Object} [wallet = {}] - The wallet used to sign transactions: a Keypair, an Anchor Wallet or a wallet-adapter.
+   * @param {Object} [options = {}] - Additional client options.
+   * @param {Object|Boolean} [options.cache] - A cache adapter for indexer responses (defaults to an in-memory cache), or false to disable caching.
+   * @param {Object} [options.cacheTtl] - Cache TTLs in milliseconds keyed by resource, ie { hubs: 60000, releases: 30000, default: 30000 }.
+   * @param {Number} [options.rpcChunkSize = 100] - The number of accounts requested per getMultipleAccounts call.
+   * @param {Number} [options.rpcConcurrency = 4] - The number of getMultipleAccounts calls in flight at once.
+   * @param {Number} [options.rpcRetries = 5] - Retries with exponential backoff when the RPC rate limits requests.
+   * @param {String} [options.watchMode = 'websocket'] - How watchers receive updates: 'websocket', or 'polling' for RPCs without websocket support.
+   * @param {Number} [options.watchPollInterval = 10000] - Milliseconds between watcher checks in polling mode.
+   * @param {Object} [options.computeBudget] - ComputeBudgetProgram settings for every transaction: { units, microLamports }, where microLamports can be 'auto' to estimate the priority fee from recent fees (with optional percentile and maxMicroLamports).
+   * @param {Object} [options.syncStore] - A cache adapter persisting indexer notifications that have not gone through, ie new StorageCache(window.localStorage, { prefix: 'nina-sync:' }).
+   * @param {Number} [options.syncRetries = 8] - Retries with exponential backoff of a failed indexer notification.
+   * @param {String|Number} [options.transactionVersion = 'auto'] - 'legacy', 0, or 'auto' to build v0 transactions when the wallet supports them and lookup tables are available.
+   * @param {Object} [options.lookupTables] - Address lookup tables keyed by Hub public key, used instead of looking up the table created by `Hub.createLookupTable`.
+   * @param {String} [options.commitment = 'confirmed'] - The commitment write methods confirm transactions at: 'processed', 'confirmed' or 'finalized'.
+   * @param {String} [options.confirmMode] - How transactions are confirmed: 'websocket' or 'polling', defaults to the watchMode.
+   * @param {Number} [options.confirmPollInterval = 2000] - Milliseconds between signature status checks, and between rebroadcasts of unconfirmed transactions.
+   * @param {String} [options.arweaveGateway = 'https://www.arweave.net'] - The base of the Arweave URLs in the metadata built by the SDK.
+   * @param {Boolean} [options.normalizeMetadata = false] - Normalize the metadata of the Releases, Hubs and Posts fetched from the Nina API, see `Metadata.normalize`.
+   * @param {Boolean} [options.legacyErrors = false] - Return `{ error }` from write methods instead of throwing NinaErrors.
    * @example Nina.client.init(endpoint, cluster, programId)
    */
   async init(
@@ -55,6 +92,7 @@ class NinaClient {
     programId,
     apiKey = undefined,
     wallet = {},
+    options = {},
   ) {
     console.log('init-ing client\n\n\n\n')
     this.apiKey = apiKey
@@ -63,49 +101,114 @@ class NinaClient {
     this.cluster = cluster || 'mainnet'
     this.programId = programId || 'ninaN2tm9vUkxoanvGcNApEeWiidLMM2TdBX8HoJuL4'
     this.connection = new anchor.web3.Connection(this.rpcEndpoint)
-    this.provider = new anchor.AnchorProvider(this.connection, wallet, {
-      commitment: 'confirmed',
-      preflightCommitment: 'processed',
-    })
+    this.provider = new anchor.AnchorProvider(
+      this.connection,
+      new Signer(wallet),
+      {
+        commitment: 'confirmed',
+        preflightCommitment: 'processed',
+      },
+    )
     this.program = await anchor.Program.at(this.programId, this.provider)
     console.log('this.program', this.program)
-    const http = new Http({
+    this.pda = new Pda(this.program.programId)
+    this.Metadata = new Metadata({ arweaveGateway: options.arweaveGateway })
+    this.http = new Http({
       endpoint: this.endpoint,
       program: this.program,
+      pda: this.pda,
       apiKey: this.apiKey,
+      cache: options.cache,
+      cacheTtl: options.cacheTtl,
+      rpcChunkSize: options.rpcChunkSize,
+      rpcConcurrency: options.rpcConcurrency,
+      rpcRetries: options.rpcRetries,
+      metadata: options.normalizeMetadata ? this.Metadata : undefined,
+    })
+
+    this.sync = new Sync({
+      http: this.http,
+      store: options.syncStore,
+      retries: options.syncRetries,
+    })
+
+    this.Watcher = new Watcher({
+      program: this.program,
+      provider: this.provider,
+      mode: options.watchMode,
+      pollInterval: options.watchPollInterval,
+    })
+
+    this.Confirmation = new Confirmation({
+      program: this.program,
+      provider: this.provider,
+      mode: options.confirmMode || options.watchMode,
+      commitment: options.commitment,
+      pollInterval: options.confirmPollInterval,
+      rebroadcastInterval: options.confirmPollInterval,
+    })
+
+    this.Transactions = new Transactions({
+      program: this.program,
+      provider: this.provider,
+      confirmation: this.Confirmation,
+      cluster: this.cluster,
+      computeBudget: options.computeBudget,
+      transactionVersion: options.transactionVersion,
+      lookupTables: options.lookupTables,
+      legacyErrors: Boolean(options.legacyErrors),
     })
 
     const config = {
-      http,
+      http: this.http,
       program: this.program,
+      pda: this.pda,
       provider: this.provider,
+      watcher: this.Watcher,
+      transactions: this.Transactions,
+      sync: this.sync,
+      metadata: this.Metadata,
       cluster: this.cluster,
+      legacyErrors: Boolean(options.legacyErrors),
     }
 
+    this.Wallet = new Wallet(config)
     this.Account = new Account(config)
     this.Exchange = new Exchange(config)
     this.Hub = new Hub(config)
     this.Post = new Post(config)
-    this.Release = new Release(config)
+    this.Release = new Release({ ...config, wallet: this.Wallet })
+    this.Search = new Search(config)
     this.Subscription = new Subscription(config)
     this.Uploader = new Uploader(config)
-    this.Wallet = new Wallet(config)
+
+    // send the indexer notifications persisted before a reload
+    this.sync
+      .flush()
+      .catch((error) => console.warn('indexer sync error: ', error))
+  }
+
+  /**
+   * Registers an enricher attaching on-chain account data to responses from a Nina API route
+   * when it is fetched `withAccountData`. Takes precedence over the built-in enrichers.
+   * @function registerEnricher
+   * @param {String} route - The route pattern, ie '/accounts/:publicKey/verifications'.
+   * @param {Object} spec - Either `fields`, mapping response fields to account types ('exchange', 'hub', 'post', 'release', 'subscription' or 'verification'), or an `enrich(http, data, params)` function.
+   * @example Nina.client.registerEnricher('/hubs/:publicKeyOrHandle/subscriptions', { fields: { subscriptions: 'subscription' } })
+   */
+  registerEnricher(route, spec) {
+    this.http.registerEnricher(route, spec)
   }
 
-  static isSol(mint) {
+  isSol(mint) {
     return isSol(mint, this.cluster)
   }
 
-  static isUsdc(mint) {
+  isUsdc(mint) {
     return isUsdc(mint, this.cluster)
   }
 
-  static nativeToUiString(
-    amount,
-    mint,
-    decimalOverride = false,
-    showCurrency = true,
-  ) {
+  nativeToUiString(amount, mint, decimalOverride = false, showCurrency = true) {
     return nativeToUiString(
       amount,
       mint,
@@ -115,15 +218,15 @@ class NinaClient {
     )
   }
 
-  static decimalsForMint(mint) {
+  decimalsForMint(mint) {
     return decimalsForMint(mint, this.cluster)
   }
 
-  static nativeToUi(amount, mint) {
+  nativeToUi(amount, mint) {
     return nativeToUi(amount, mint, this.cluster)
   }
 
-  static uiToNative(amount, mint) {
+  uiToNative(amount, mint) {
     return uiToNative(amount, mint, this.cluster)
   }
 
@@ -158,4 +261,35 @@ class NinaClient {
   }
 }
 
+/**
+ * Creates and initializes a Nina Client instance. Each instance has its own cluster, connection,
+ * resources and cache, so clients for mainnet and devnet can be used side by side.
+ * @function createNinaClient
+ * @param {Object} [options = {}] - The arguments of `init` by name (endpoint, rpcEndpoint, cluster, programId, apiKey, wallet), along with any of its options.
+ * @example const devnet = await createNinaClient({ cluster: 'devnet', rpcEndpoint: 'https://api.devnet.solana.com', programId })
+ * @returns {Promise<NinaClient>} the initialized client.
+ */
+export const createNinaClient = async ({
+  endpoint,
+  rpcEndpoint,
+  cluster,
+  programId,
+  apiKey,
+  wallet,
+  ...options
+} = {}) => {
+  const client = new NinaClient()
+  await client.init(
+    endpoint,
+    rpcEndpoint,
+    cluster,
+    programId,
+    apiKey,
+    wallet,
+    options,
+  )
+
+  return client
+}
+
 export default new NinaClient()
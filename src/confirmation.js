@@ -0,0 +1,322 @@
+import Promise from 'promise'
+import {
+  RpcError,
+  TransactionExpiredError,
+  ValidationError,
+  toNinaError,
+} from './errors'
+
+/**
+ * @module Confirmation
+ * @description Waits for a sent transaction to reach a commitment.
+ *
+ * The signature status is checked every `pollInterval` until the transaction reaches the commitment, fails, or
+ * the cluster's block height passes the `lastValidBlockHeight` of its blockhash - at which point it can no longer
+ * land and is reported as expired. In 'websocket' mode a `signatureSubscribe` notification resolves the confirmation
+ * as soon as the commitment is reached, and the polling is the fallback for a dropped websocket. Until it is
+ * confirmed, the signed transaction is rebroadcast every `rebroadcastInterval`, since RPC nodes drop transactions
+ * they could not forward to the leader.
+ *
+ * Progress is reported with `onProgress({ status, txid, slot })`, where status is 'sent', 'processed',
+ * 'confirmed', 'finalized' or 'expired'.
+ */
+
+const MODES = ['websocket', 'polling']
+const COMMITMENTS = ['processed', 'confirmed', 'finalized']
+
+/** Class confirming transactions sent by the SDK */
+export default class Confirmation {
+  /**
+   * @param {Object} config
+   * @param {Object} config.program - The Anchor program.
+   * @param {Object} config.provider - The Anchor provider.
+   * @param {String} [config.mode = 'websocket'] - 'websocket' or 'polling'.
+   * @param {String} [config.commitment = 'confirmed'] - 'processed', 'confirmed' or 'finalized'.
+   * @param {Number} [config.pollInterval = 2000] - Milliseconds between signature status checks.
+   * @param {Number} [config.rebroadcastInterval = 2000] - Milliseconds between rebroadcasts of the signed transaction.
+   * @param {Number} [config.timeout = 120000] - Milliseconds after which confirmation gives up, ie when the RPC cannot be reached.
+   * Transactions sent without their lastValidBlockHeight are reported as expired after this long.
+   */
+  constructor({
+    program,
+    provider,
+    mode = 'websocket',
+    commitment = 'confirmed',
+    pollInterval = 2000,
+    rebroadcastInterval = 2000,
+    timeout = 120000,
+  }) {
+    this.program = program
+    this.provider = provider
+    this.mode = mode
+    this.commitment = commitment
+    this.pollInterval = pollInterval
+    this.rebroadcastInterval = rebroadcastInterval
+    this.timeout = timeout
+  }
+
+  get connection() {
+    return this.provider.connection
+  }
+
+  resolveOptions(options) {
+    const resolved = {
+      mode: this.mode,
+      commitment: this.commitment,
+      pollInterval: this.pollInterval,
+      rebroadcastInterval: this.rebroadcastInterval,
+      timeout: this.timeout,
+      onProgress: () => undefined,
+      ...options,
+    }
+
+    if (!MODES.includes(resolved.mode)) {
+      throw new ValidationError(
+        `Confirmation mode must be one of ${MODES.join(', ')}`,
+        { field: 'mode' },
+      )
+    }
+
+    if (!COMMITMENTS.includes(resolved.commitment)) {
+      throw new ValidationError(
+        `Commitment must be one of ${COMMITMENTS.join(', ')}`,
+        { field: 'commitment' },
+      )
+    }
+
+    return resolved
+  }
+
+  /**
+   * @function confirm
+   * @description Resolves once the transaction reaches the commitment. Rejects with a ProgramError (or another
+   * NinaError decoded from the logs) when the transaction fails, and with a TransactionExpiredError when its
+   * blockhash expires first.
+   * @param {String} txid - The signature of the sent transaction.
+   * @param {Object} [options = {}]
+   * @param {Buffer|Uint8Array} [options.rawTransaction] - The serialized signed transaction, rebroadcast until it is confirmed.
+   * @param {Number} [options.lastValidBlockHeight] - The last block height at which the transaction's blockhash is valid.
+   * @param {String} [options.commitment] - 'processed', 'confirmed' or 'finalized', defaults to the client setting.
+   * @param {Function} [options.onProgress] - Called with { status, txid, slot } as the transaction progresses.
+   * @param {String} [options.mode] - 'websocket' or 'polling', defaults to the client setting.
+   * @example
+   * await NinaClient.Confirmation.confirm(txid, {
+   *   lastValidBlockHeight,
+   *   onProgress: ({ status }) => console.log(status),
+   * })
+   * @returns {Object} { txid, slot, commitment }
+   */
+  async confirm(txid, options = {}) {
+    const {
+      mode,
+      commitment,
+      pollInterval,
+      rebroadcastInterval,
+      timeout,
+      onProgress,
+      rawTransaction,
+      lastValidBlockHeight,
+    } = this.resolveOptions(options)
+
+    const target = COMMITMENTS.indexOf(commitment)
+    const startedAt = Date.now()
+
+    const state = {
+      done: false,
+      checking: false,
+      reached: -1,
+      lastBroadcastAt: startedAt,
+      lastError: undefined,
+      subscriptionId: undefined,
+      timer: undefined,
+    }
+
+    return new Promise((resolve, reject) => {
+      const unsubscribeSocket = () => {
+        if (state.subscriptionId !== undefined) {
+          this.connection
+            .removeSignatureListener(state.subscriptionId)
+            .catch(() => undefined)
+          state.subscriptionId = undefined
+        }
+      }
+
+      const finish = (error, result = undefined) => {
+        if (state.done) {
+          return
+        }
+
+        state.done = true
+        clearInterval(state.timer)
+        unsubscribeSocket()
+
+        if (error) {
+          reject(error)
+        } else {
+          resolve(result)
+        }
+      }
+
+      const emit = (status, slot = undefined) => {
+        try {
+          onProgress({ status, txid, slot })
+        } catch (error) {
+          console.warn('confirmation progress error: ', error)
+        }
+      }
+
+      const progress = (confirmationStatus, slot) => {
+        const reached = COMMITMENTS.indexOf(confirmationStatus)
+        COMMITMENTS.slice(state.reached + 1, reached + 1).forEach((status) =>
+          emit(status, slot),
+        )
+        state.reached = Math.max(state.reached, reached)
+
+        if (state.reached >= target) {
+          finish(undefined, {
+            txid,
+            slot,
+            commitment: COMMITMENTS[state.reached],
+          })
+        }
+      }
+
+      const fail = async (err) => {
+        finish(await this.errorForFailedTransaction(txid, err))
+      }
+
+      const rebroadcast = () => {
+        if (
+          !rawTransaction ||
+          state.reached >= COMMITMENTS.indexOf('confirmed') ||
+          Date.now() - state.lastBroadcastAt < rebroadcastInterval
+        ) {
+          return
+        }
+
+        state.lastBroadcastAt = Date.now()
+        this.connection
+          .sendRawTransaction(rawTransaction, {
+            skipPreflight: true,
+            maxRetries: 0,
+          })
+          .catch(() => undefined)
+      }
+
+      const check = async () => {
+        if (state.done || state.checking) {
+          return
+        }
+
+        state.checking = true
+
+        try {
+          // read before the status, so a transaction landing in between is not reported as expired
+          const blockHeight =
+            lastValidBlockHeight === undefined
+              ? undefined
+              : await this.connection.getBlockHeight('confirmed')
+
+          const {
+            value: [status],
+          } = await this.connection.getSignatureStatuses([txid])
+
+          state.lastError = undefined
+
+          if (status && status.err) {
+            await fail(status.err)
+
+            return
+          }
+
+          if (status) {
+            // nodes without confirmationStatus report finalized transactions with null confirmations
+            progress(
+              status.confirmationStatus ||
+                (status.confirmations === null ? 'finalized' : 'processed'),
+              status.slot,
+            )
+          }
+
+          const expired =
+            blockHeight === undefined
+              ? Date.now() - startedAt > timeout
+              : blockHeight > lastValidBlockHeight
+
+          if (!state.done && !status && expired) {
+            emit('expired')
+            finish(
+              new TransactionExpiredError(
+                `Transaction ${txid} expired before it was confirmed`,
+                { txid, lastValidBlockHeight },
+              ),
+            )
+
+            return
+          }
+
+          rebroadcast()
+        } catch (error) {
+          state.lastError = error
+        } finally {
+          state.checking = false
+        }
+
+        if (!state.done && Date.now() - startedAt > timeout) {
+          finish(
+            new RpcError(`Unable to confirm transaction ${txid}`, {
+              cause: state.lastError,
+              txid,
+            }),
+          )
+        }
+      }
+
+      emit('sent')
+
+      if (mode === 'websocket') {
+        state.subscriptionId = this.connection.onSignature(
+          txid,
+          (result, context) => {
+            // signature subscriptions are removed by the RPC once notified
+            state.subscriptionId = undefined
+
+            if (result.err) {
+              fail(result.err).catch((error) => finish(error))
+            } else {
+              progress(commitment, context.slot)
+            }
+          },
+          commitment,
+        )
+      }
+
+      state.timer = setInterval(check, pollInterval)
+      check()
+    })
+  }
+
+  async errorForFailedTransaction(txid, err) {
+    let logs
+
+    try {
+      const transaction = await this.connection.getTransaction(txid, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      })
+
+      logs = transaction ? transaction.meta.logMessages : undefined
+    } catch (error) {
+      logs = undefined
+    }
+
+    return toNinaError(
+      {
+        message: `Transaction ${txid} failed: ${JSON.stringify(err)}`,
+        logs,
+        txid,
+      },
+      this.program,
+    )
+  }
+}
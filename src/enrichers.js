@@ -0,0 +1,192 @@
+import Formatter from './formatter'
+
+/**
+ * @module Enrichers
+ * @description Declares how responses from each Nina API route are enriched with on-chain account data
+ * when a resource method is called with `withAccountData`.
+ *
+ * An enricher is registered for a route pattern (ie '/releases/:publicKey/exchanges') and either maps
+ * response fields to account types with `fields`, or provides an `enrich(http, data, params)` function
+ * for responses that need more than a field map. A field holding an array or a single object gets
+ * `accountData = { [accountType]: parsedAccount }` attached to each entry, or the parsed account itself
+ * when declared as `{ type, unwrapped: true }`.
+ *
+ * Supported account types: 'exchange', 'hub', 'post', 'release', 'subscription' and 'verification'.
+ */
+
+/**
+ * @function compileRoute
+ * @description Compiles a route pattern with `:param` segments into a matcher.
+ * @param {String} route - The route pattern, ie '/hubs/:publicKeyOrHandle/releases'.
+ * @returns {Function} a function returning the route params for a matching url, or undefined.
+ */
+export const compileRoute = (route) => {
+  const paramNames = []
+
+  const pattern = new RegExp(
+    `^${route.replace(/:(\w+)/g, (_, name) => {
+      paramNames.push(name)
+
+      return '([^/?#]+)'
+    })}(?:\\?.*)?$`,
+  )
+
+  return (url) => {
+    const match = url.match(pattern)
+
+    if (!match) {
+      return undefined
+    }
+
+    return paramNames.reduce((params, name, i) => {
+      params[name] = decodeURIComponent(match[i + 1])
+
+      return params
+    }, {})
+  }
+}
+
+const enrichHub = async (http, data) => {
+  const hubPublicKey = data.hub.publicKey
+  const hub = await http.fetchAccountData(hubPublicKey, 'hub')
+  data.hub.accountData = Formatter.parseHubAccountData(hub)
+  await http.processMultipleHubContentAccountDataWithHub(
+    data.releases,
+    hubPublicKey,
+    'release',
+  )
+  await http.processMultipleHubContentAccountDataWithHub(
+    data.posts,
+    hubPublicKey,
+    'post',
+  )
+  await http.processMultipleHubCollaboratorAccountDataWithHub(
+    data.collaborators,
+    hubPublicKey,
+  )
+}
+
+const enrichReleaseHubs = async (http, data, { publicKey }) => {
+  await http.processMulitpleHubAccountData(data.hubs)
+  await http.processMultipleHubReleasesAccountDataWithHub(data.hubs, publicKey)
+}
+
+const enrichRevenueShareRecipients = async (http, data, { publicKey }) => {
+  const release = Formatter.parseReleaseAccountData(
+    await http.fetchAccountData(publicKey, 'release'),
+  )
+
+  data.revenueShareRecipients.forEach((recipient) => {
+    recipient.accountData = {
+      revenueShareRecipient: release.revenueShareRecipients.filter(
+        (r) => r.recipientAuthority === recipient.publicKey,
+      )[0],
+    }
+  })
+}
+
+const enrichAccountHubs = async (http, data, { publicKey }) => {
+  await http.processMulitpleHubAccountData(data.hubs)
+  await http.processMultipleHubCollaboratorAccountDataWithHubs(
+    data.hubs,
+    publicKey,
+  )
+}
+
+const enrichHubContent = (accountType, field) => async (http, data) => {
+  await http.processMultipleHubContentAccountDataWithHub(
+    data[field],
+    data.publicKey,
+    accountType,
+  )
+}
+
+export const defaultEnrichers = [
+  // Accounts
+  {
+    route: '/accounts/:publicKey',
+    fields: {
+      hubs: 'hub',
+      published: 'release',
+      collected: 'release',
+      posts: 'post',
+      exchanges: 'exchange',
+    },
+  },
+  { route: '/accounts/:publicKey/collected', fields: { collected: 'release' } },
+  {
+    route: '/accounts/:publicKey/exchanges',
+    fields: { exchanges: 'exchange' },
+  },
+  { route: '/accounts/:publicKey/hubs', enrich: enrichAccountHubs },
+  { route: '/accounts/:publicKey/posts', fields: { posts: 'post' } },
+  { route: '/accounts/:publicKey/published', fields: { published: 'release' } },
+  {
+    route: '/accounts/:publicKey/revenueShares',
+    fields: { revenueShares: 'release' },
+  },
+  {
+    route: '/accounts/:publicKey/subscriptions',
+    fields: { subscriptions: 'subscription' },
+  },
+  {
+    route: '/accounts/:publicKey/verifications',
+    fields: { verifications: 'verification' },
+  },
+
+  // Exchanges
+  { route: '/exchanges', fields: { exchanges: 'exchange' } },
+  {
+    route: '/exchanges/:publicKey',
+    fields: { exchange: { type: 'exchange', unwrapped: true } },
+  },
+
+  // Hubs
+  { route: '/hubs', fields: { hubs: 'hub' } },
+  { route: '/hubs/:publicKeyOrHandle', enrich: enrichHub },
+  {
+    route: '/hubs/:publicKeyOrHandle/posts',
+    enrich: enrichHubContent('post', 'posts'),
+  },
+  {
+    route: '/hubs/:publicKeyOrHandle/releases',
+    enrich: enrichHubContent('release', 'releases'),
+  },
+  {
+    route: '/hubs/:publicKeyOrHandle/subscriptions',
+    fields: { subscriptions: 'subscription' },
+  },
+
+  // Posts
+  { route: '/posts', fields: { posts: 'post' } },
+  {
+    route: '/posts/:publicKey',
+    fields: {
+      post: { type: 'post', unwrapped: true },
+      publishedThroughHub: { type: 'hub', unwrapped: true },
+    },
+  },
+
+  // Releases
+  { route: '/releases', fields: { releases: 'release' } },
+  { route: '/releases/:publicKey', fields: { release: 'release' } },
+  {
+    route: '/releases/:publicKey/exchanges',
+    fields: { exchanges: 'exchange' },
+  },
+  { route: '/releases/:publicKey/hubs', enrich: enrichReleaseHubs },
+  {
+    route: '/releases/:publicKey/revenueShareRecipients',
+    enrich: enrichRevenueShareRecipients,
+  },
+
+  // Search
+  { route: '/search', fields: { hubs: 'hub', releases: 'release' } },
+
+  // Subscriptions
+  { route: '/subscriptions', fields: { subscriptions: 'subscription' } },
+  {
+    route: '/subscriptions/:publicKey',
+    fields: { subscription: 'subscription' },
+  },
+]
@@ -0,0 +1,278 @@
+import * as anchor from '@project-serum/anchor'
+
+/**
+ * @module Errors
+ * @description Errors thrown by the SDK. Every error extends NinaError, so consumers can branch on
+ * `instanceof` (or `error.name`) instead of matching on messages.
+ */
+
+const TOKEN_PROGRAM_ID = anchor.utils.token.TOKEN_PROGRAM_ID.toBase58()
+const TOKEN_PROGRAM_INSUFFICIENT_FUNDS = 1
+
+const INSUFFICIENT_FUNDS_PATTERNS = [
+  /insufficient lamports/i,
+  /insufficient funds/i,
+  /Attempt to debit an account but found no record of a prior credit/i,
+]
+
+/** Base class of all errors thrown by the SDK */
+export class NinaError extends Error {
+  /**
+   * @param {String} message - A description of the error.
+   * @param {Object} [details = {}]
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor(message, { cause } = {}) {
+    super(message)
+    this.name = 'NinaError'
+    this.cause = cause
+  }
+}
+
+/** Thrown when a request to the Nina API or Solana RPC does not receive a response */
+export class NetworkError extends NinaError {
+  constructor(message, { cause, url } = {}) {
+    super(message, { cause })
+    this.name = 'NetworkError'
+    this.url = url
+  }
+}
+
+/** Thrown when the Nina API responds with an error status */
+export class IndexerError extends NinaError {
+  constructor(message, { cause, url, status, data } = {}) {
+    super(message, { cause })
+    this.name = 'IndexerError'
+    this.url = url
+    this.status = status
+    this.data = data
+  }
+}
+
+/** Thrown when the Solana RPC rejects a request or a transaction cannot be confirmed */
+export class RpcError extends NinaError {
+  constructor(message, { cause, logs, txid } = {}) {
+    super(message, { cause })
+    this.name = 'RpcError'
+    this.logs = logs
+    this.txid = txid
+  }
+}
+
+/** Thrown when a transaction is not confirmed before its blockhash expires, so it can safely be rebuilt and resent */
+export class TransactionExpiredError extends RpcError {
+  constructor(message, { cause, txid, lastValidBlockHeight } = {}) {
+    super(message, { cause, txid })
+    this.name = 'TransactionExpiredError'
+    this.lastValidBlockHeight = lastValidBlockHeight
+  }
+}
+
+/** Thrown when a transaction fails with an error code returned by an on-chain program */
+export class ProgramError extends NinaError {
+  /**
+   * @param {String} message - The error message defined in the program IDL when available.
+   * @param {Object} [details = {}]
+   * @param {Number} [details.code] - The numeric error code.
+   * @param {String} [details.errorName] - The error name defined in the program IDL, ie 'ReleaseSoldOut'.
+   * @param {String} [details.programId] - The program that returned the error.
+   * @param {Array} [details.logs] - The transaction logs.
+   */
+  constructor(message, { cause, code, errorName, programId, logs, txid } = {}) {
+    super(message, { cause })
+    this.name = 'ProgramError'
+    this.code = code
+    this.errorName = errorName
+    this.programId = programId
+    this.logs = logs
+    this.txid = txid
+  }
+}
+
+/** Thrown when the payer does not hold enough SOL or tokens to complete a transaction */
+export class InsufficientFundsError extends NinaError {
+  constructor(message, { cause, logs, txid } = {}) {
+    super(message, { cause })
+    this.name = 'InsufficientFundsError'
+    this.logs = logs
+    this.txid = txid
+  }
+}
+
+/** Thrown when arguments passed to the SDK are invalid */
+export class ValidationError extends NinaError {
+  constructor(message, { cause, field } = {}) {
+    super(message, { cause })
+    this.name = 'ValidationError'
+    this.field = field
+  }
+}
+
+const logsForError = (error) => {
+  if (error.logs) {
+    return error.logs
+  }
+
+  if (error.simulationResponse && error.simulationResponse.logs) {
+    return error.simulationResponse.logs
+  }
+
+  return undefined
+}
+
+const parseCustomProgramError = (error, logs) => {
+  const failure = (logs || []).find((log) =>
+    /Program \w+ failed: custom program error: 0x[0-9a-f]+/i.test(log),
+  )
+
+  const match = (failure || error.message || '').match(
+    /(?:Program (\w+) failed: )?custom program error: (0x[0-9a-f]+)/i,
+  )
+
+  if (!match) {
+    return undefined
+  }
+
+  return {
+    programId: match[1],
+    code: parseInt(match[2], 16),
+  }
+}
+
+const toProgramError = (code, programId, idl, details) => {
+  const idlErrors = idl && idl.errors ? idl.errors : []
+  const idlError = idlErrors.find((definedError) => definedError.code === code)
+
+  return new ProgramError(idlError ? idlError.msg : `Program error ${code}`, {
+    ...details,
+    code,
+    errorName: idlError ? idlError.name : undefined,
+    programId,
+  })
+}
+
+/**
+ * @function toNinaError
+ * @description Converts an error raised by axios, @solana/web3.js, Anchor or a wallet into a NinaError subclass.
+ * @param {Error} error - The error to convert.
+ * @param {Object} [program] - The Anchor program, used to decode Nina program error codes from its IDL.
+ * @returns {NinaError}
+ */
+export const toNinaError = (error, program = undefined) => {
+  if (error instanceof NinaError) {
+    return error
+  }
+
+  if (!error || typeof error !== 'object') {
+    return new NinaError(String(error))
+  }
+
+  const message = error.message || String(error)
+
+  if (error.isAxiosError) {
+    const url = error.config ? error.config.url : undefined
+
+    if (error.response) {
+      return new IndexerError(message, {
+        cause: error,
+        url,
+        status: error.response.status,
+        data: error.response.data,
+      })
+    }
+
+    return new NetworkError(message, { cause: error, url })
+  }
+
+  const logs = logsForError(error)
+  const details = { cause: error, logs, txid: error.txid }
+  const idl = program ? program.idl : undefined
+  const programId = program ? program.programId.toBase58() : undefined
+
+  // errors already decoded by Anchor (AnchorError, ProgramError)
+  if (error.error && error.error.errorCode) {
+    return toProgramError(error.error.errorCode.number, programId, idl, details)
+  }
+
+  if (typeof error.code === 'number' && error.msg) {
+    return toProgramError(error.code, programId, idl, details)
+  }
+
+  if (
+    INSUFFICIENT_FUNDS_PATTERNS.some(
+      (pattern) =>
+        pattern.test(message) || (logs || []).some((log) => pattern.test(log)),
+    )
+  ) {
+    return new InsufficientFundsError(message, details)
+  }
+
+  const customProgramError = parseCustomProgramError(error, logs)
+
+  if (customProgramError) {
+    const failedProgramId = customProgramError.programId || programId
+
+    if (
+      failedProgramId === TOKEN_PROGRAM_ID &&
+      customProgramError.code === TOKEN_PROGRAM_INSUFFICIENT_FUNDS
+    ) {
+      return new InsufficientFundsError(message, details)
+    }
+
+    return toProgramError(
+      customProgramError.code,
+      failedProgramId,
+      failedProgramId === programId ? idl : undefined,
+      details,
+    )
+  }
+
+  if (/Invalid public key input|Non-base58 character/i.test(message)) {
+    return new ValidationError(message, { cause: error })
+  }
+
+  if (
+    logs ||
+    error.txid ||
+    /failed to send transaction|failed to get|unable_to_confirm_transaction|Transaction failed|blockhash not found|Transaction simulation failed/i.test(
+      message,
+    )
+  ) {
+    return new RpcError(message, details)
+  }
+
+  if (
+    /fetch failed|ECONNREFUSED|ETIMEDOUT|Network request failed/i.test(message)
+  ) {
+    return new NetworkError(message, { cause: error })
+  }
+
+  return new NinaError(message, { cause: error })
+}
+
+/**
+ * @function handleError
+ * @description Normalizes an error raised by a write method. Throws the NinaError unless the client
+ * was initialized with the `legacyErrors` option, in which case it is logged and returned as `{ error }`.
+ * @param {Error} error - The caught error.
+ * @param {Object} [program] - The Anchor program, used to decode Nina program error codes.
+ * @param {Boolean} [legacyErrors = false] - Return `{ error }` instead of throwing.
+ * @returns {Object} { error: NinaError } when legacyErrors is enabled.
+ */
+export const handleError = (
+  error,
+  program = undefined,
+  legacyErrors = false,
+) => {
+  const ninaError = toNinaError(error, program)
+
+  if (!legacyErrors) {
+    throw ninaError
+  }
+
+  console.warn(ninaError)
+
+  return {
+    error: ninaError,
+  }
+}
@@ -1,5 +1,8 @@
+import * as anchor from '@project-serum/anchor'
 import { MAX_U64, decodeNonEncryptedByteArray } from './utils'
 
+const NAME_REGISTRY_HEADER_LENGTH = 96
+
 export default class Formatter {
   static parseHubPostAccountData(hubPost, publicKey) {
     hubPost.publicKey = publicKey.toBase58()
@@ -144,4 +147,31 @@ export default class Formatter {
 
     return release
   }
+
+  static parseSubscriptionAccountData(subscription, publicKey) {
+    subscription.publicKey =
+      typeof publicKey === 'string' ? publicKey : publicKey.toBase58()
+    subscription.from = subscription.from.toBase58()
+    subscription.to = subscription.to.toBase58()
+    subscription.datetime = subscription.datetime.toNumber() * 1000
+    subscription.subscriptionType = Object.keys(
+      subscription.subscriptionType,
+    )[0]
+
+    return subscription
+  }
+
+  static parseNameRegistryAccountData(accountInfo, publicKey) {
+    const { data } = accountInfo
+
+    return {
+      publicKey:
+        typeof publicKey === 'string' ? publicKey : publicKey.toBase58(),
+      parentName: new anchor.web3.PublicKey(data.slice(0, 32)).toBase58(),
+      owner: new anchor.web3.PublicKey(data.slice(32, 64)).toBase58(),
+      class: new anchor.web3.PublicKey(data.slice(64, 96)).toBase58(),
+      data: data.slice(NAME_REGISTRY_HEADER_LENGTH),
+      lamports: accountInfo.lamports,
+    }
+  }
 }
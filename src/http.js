@@ -1,16 +1,77 @@
 import * as anchor from '@project-serum/anchor'
 import axios from 'axios'
 import _ from 'lodash'
+import Promise from 'promise'
+import promiseRetry from 'promise-retry'
+import { DEFAULT_CACHE_TTL, MemoryCache, cacheKeyMatchesPath } from './cache'
+import { compileRoute, defaultEnrichers } from './enrichers'
+import { ValidationError, toNinaError } from './errors'
 import Formatter from './formatter'
+import Pda from './pda'
+
+const ACCOUNT_PROCESSORS = {
+  exchange: 'processMultipleExchangeAccountData',
+  hub: 'processMulitpleHubAccountData',
+  post: 'processMultiplePostAccountData',
+  release: 'processMultipleReleaseAccountData',
+  subscription: 'processMultipleSubscriptionAccountData',
+  verification: 'processMultipleVerificationAccountData',
+}
+
+const RATE_LIMIT_PATTERN = /429|Too Many Requests/i
+
+const toBase58 = (publicKey) => {
+  if (typeof publicKey === 'string') {
+    return publicKey
+  }
+
+  return publicKey.toBase58()
+}
+
+const fieldSpec = (spec) => (typeof spec === 'string' ? { type: spec } : spec)
 
 export default class Http {
-  constructor({ endpoint, program, apiKey = undefined }) {
+  constructor({
+    endpoint,
+    program,
+    pda,
+    apiKey = undefined,
+    cache = undefined,
+    cacheTtl = {},
+    rpcChunkSize = 100,
+    rpcConcurrency = 4,
+    rpcRetries = 5,
+    metadata = undefined,
+  }) {
     this.endpoint = endpoint
     this.program = program
+    this.pda = pda || new Pda(program.programId)
     this.apiKey = apiKey
+    this.cache = cache === false ? null : cache || new MemoryCache()
+    this.cacheTtl = { ...DEFAULT_CACHE_TTL, ...cacheTtl }
+    this.rpcChunkSize = rpcChunkSize
+    this.rpcConcurrency = rpcConcurrency
+    this.rpcRetries = rpcRetries
+    // normalizes the metadata of responses when set, see Metadata.normalizeResponse
+    this.metadata = metadata
+
+    this.enrichers = defaultEnrichers.map((enricher) => ({
+      ...enricher,
+      match: compileRoute(enricher.route),
+    }))
   }
 
   async get(url, query = undefined, withAccountData = false) {
+    const cacheKey = `${url}${
+      query ? `?${new URLSearchParams(query).toString()}` : ''
+    }${withAccountData ? '#accountData' : ''}`
+
+    const cached = await this.getCached(cacheKey)
+
+    if (cached !== undefined) {
+      return cached
+    }
+
     if (this.apiKey) {
       if (query) {
         query.api_key = this.apiKey
@@ -20,24 +81,114 @@ export default class Http {
     }
 
     const queryString = query ? `?${new URLSearchParams(query).toString()}` : ''
-    let response = await axios.get(`${this.endpoint}${url}${queryString}`)
+    let response
 
-    if (withAccountData) {
-      response = this.getAccountData(url, response)
-    } else {
-      response = response.data
+    try {
+      response = await axios.get(`${this.endpoint}${url}${queryString}`)
+
+      if (withAccountData) {
+        response = await this.getAccountData(url, response)
+      } else {
+        response = response.data
+      }
+    } catch (error) {
+      throw toNinaError(error, this.program)
+    }
+
+    if (this.metadata) {
+      response = this.metadata.normalizeResponse(response)
     }
 
+    await this.setCached(cacheKey, url, response)
+
     return response
   }
 
+  cacheTtlForUrl(url) {
+    const resource = url.split('/')[1]
+
+    if (Object.prototype.hasOwnProperty.call(this.cacheTtl, resource)) {
+      return this.cacheTtl[resource]
+    }
+
+    return this.cacheTtl.default
+  }
+
+  async getCached(cacheKey) {
+    if (!this.cache) {
+      return undefined
+    }
+
+    const entry = await this.cache.get(cacheKey)
+
+    if (!entry) {
+      return undefined
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.cache.delete(cacheKey)
+
+      return undefined
+    }
+
+    return entry.value
+  }
+
+  async setCached(cacheKey, url, value) {
+    const ttl = this.cacheTtlForUrl(url)
+
+    if (!this.cache || !ttl) {
+      return
+    }
+
+    await this.cache.set(cacheKey, {
+      value,
+      expiresAt: Date.now() + ttl,
+    })
+  }
+
+  /**
+   * Removes cached responses for the given paths and all of their sub-routes and query variations.
+   * Called by mutating resource methods once their transaction is confirmed.
+   * @param {Array<String>} paths - Indexer paths to invalidate, ie ['/hubs/ninas-picks', '/releases'].
+   */
+  async invalidate(paths) {
+    if (!this.cache) {
+      return
+    }
+
+    const keys = await this.cache.keys()
+    for await (const key of keys) {
+      if (paths.some((path) => path && cacheKeyMatchesPath(key, path))) {
+        await this.cache.delete(key)
+      }
+    }
+  }
+
+  async clearCache() {
+    if (!this.cache) {
+      return
+    }
+
+    const keys = await this.cache.keys()
+    for await (const key of keys) {
+      await this.cache.delete(key)
+    }
+  }
+
   async post(url, data, withAccountData = false) {
-    let response = await axios.post(`${this.endpoint}${url}`, data)
+    let response
 
-    if (withAccountData) {
-      response = this.getAccountData(url, response)
-    } else {
-      response = response.data
+    try {
+      response = await axios.post(`${this.endpoint}${url}`, data)
+
+      if (withAccountData) {
+        response = await this.getAccountData(url, response)
+      } else {
+        response = response.data
+      }
+    } catch (error) {
+      throw toNinaError(error, this.program)
     }
 
     return response
@@ -52,13 +203,78 @@ export default class Http {
     return account
   }
 
+  /**
+   * Fetches and decodes accounts of one type. Keys are deduplicated and requested in chunks of
+   * `rpcChunkSize`, with up to `rpcConcurrency` requests in flight. Every position receives its own
+   * decoded object, so duplicate keys can be formatted independently.
+   * @param {Array} publicKeys - PublicKeys or base58 strings.
+   * @param {String} accountType - The Anchor account namespace, ie 'hubRelease'.
+   * @returns {Array} the decoded accounts, or null for accounts that do not exist.
+   */
   async fetchAccountDataMultiple(publicKeys, accountType) {
-    const accounts = await this.program.account[accountType].fetchMultiple(
-      publicKeys.map((publicKey) => new anchor.web3.PublicKey(publicKey)),
-      'confirmed',
+    const accountInfos = await this.fetchAccountInfoMultiple(publicKeys)
+    const accountName = _.upperFirst(accountType)
+
+    return accountInfos.map((accountInfo) => {
+      if (!accountInfo) {
+        return null
+      }
+
+      try {
+        return this.program.coder.accounts.decode(accountName, accountInfo.data)
+      } catch (error) {
+        // not an account of this type
+        return null
+      }
+    })
+  }
+
+  async fetchAccountInfoMultiple(publicKeys) {
+    const keys = publicKeys.map(toBase58)
+
+    const batches = _.chunk(
+      _.chunk(_.uniq(keys), this.rpcChunkSize),
+      this.rpcConcurrency,
     )
 
-    return accounts
+    const accountInfos = {}
+    for await (const batch of batches) {
+      const results = await Promise.all(
+        batch.map((chunk) => this.getMultipleAccountsInfo(chunk)),
+      )
+
+      batch.forEach((chunk, i) => {
+        chunk.forEach((key, j) => {
+          accountInfos[key] = results[i][j]
+        })
+      })
+    }
+
+    return keys.map((key) => accountInfos[key])
+  }
+
+  getMultipleAccountsInfo(keys) {
+    return promiseRetry(
+      (retry) =>
+        this.program.provider.connection
+          .getMultipleAccountsInfo(
+            keys.map((key) => new anchor.web3.PublicKey(key)),
+            'confirmed',
+          )
+          .catch((error) => {
+            if (RATE_LIMIT_PATTERN.test(error.message)) {
+              retry(error)
+            }
+
+            throw error
+          }),
+      {
+        retries: this.rpcRetries,
+        factor: 2,
+        minTimeout: 500,
+        maxTimeout: 8000,
+      },
+    )
   }
 
   async fetchHubContentAndChildAccountData(
@@ -66,13 +282,10 @@ export default class Http {
     hubPublicKey,
     accountType,
   ) {
-    const [childPublicKey] = await anchor.web3.PublicKey.findProgramAddress(
-      [
-        Buffer.from(anchor.utils.bytes.utf8.encode(`nina-hub-${accountType}`)),
-        new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-        new anchor.web3.PublicKey(publicKey).toBuffer(),
-      ],
-      this.program.programId,
+    const [childPublicKey] = this.pda.hubChild(
+      accountType,
+      hubPublicKey,
+      publicKey,
     )
 
     const childAccount = await this.fetchAccountData(
@@ -91,15 +304,7 @@ export default class Http {
       )
     }
 
-    const [hubContentPublicKey] =
-      await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-          new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-          new anchor.web3.PublicKey(publicKey).toBuffer(),
-        ],
-        this.program.programId,
-      )
+    const [hubContentPublicKey] = this.pda.hubContent(hubPublicKey, publicKey)
 
     const hubContent = await this.fetchAccountData(
       hubContentPublicKey,
@@ -114,131 +319,104 @@ export default class Http {
     return [parsedChild, parsedHubContentAccount]
   }
 
-  async getAccountData(url, response) {
-    if (/^\/hubs\/((?!(\/)).)*$/.test(url)) {
-      const hubPublicKey = response.data.hub.publicKey
-      const hub = await this.fetchAccountData(hubPublicKey, 'hub')
-      response.data.hub.accountData = Formatter.parseHubAccountData(hub)
-      await this.processMultipleHubContentAccountDataWithHub(
-        response.data.releases,
-        hubPublicKey,
-        'release',
-      )
-      await this.processMultipleHubContentAccountDataWithHub(
-        response.data.posts,
-        hubPublicKey,
-        'post',
-      )
-      await this.processMultipleHubCollaboratorAccountDataWithHub(
-        response.data.collaborators,
-        hubPublicKey,
-      )
-    } else if (/releases\/(.*?)\/hubs/.test(url)) {
-      const releasePublicKey = url.split('/')[2]
-      await this.processMulitpleHubAccountData(response.data.hubs)
-      await this.processMultipleHubReleasesAccountDataWithHub(
-        response.data.hubs,
-        releasePublicKey,
-      )
-    } else if (url === '/hubs') {
-      await this.processMulitpleHubAccountData(response.data.hubs)
-    } else if (/releases\/(.*?)\/revenueShareRecipients/.test(url)) {
-      const releasePublicKey = url.split('/')[2]
-      let release = await this.fetchAccountData(releasePublicKey, 'release')
-      release = Formatter.parseReleaseAccountData(release)
-      response.data.revenueShareRecipients.forEach((recipient) => {
-        recipient.accountData = {
-          revenueShareRecipient: release.revenueShareRecipients.filter(
-            (r) => r.recipientAuthority === recipient.publicKey,
-          )[0],
-        }
-      })
-    } else if (/accounts\/(.*?)\/hubs/.test(url)) {
-      const publicKey = url.split('/')[2]
-      await this.processMulitpleHubAccountData(response.data.hubs)
-      await this.processMultipleHubCollaboratorAccountDataWithHubs(
-        response.data.hubs,
-        publicKey,
-      )
-    } else if (
-      url === '/releases' ||
-      /accounts\/(.*?)\/published/.test(url) ||
-      /accounts\/(.*?)\/collected/.test(url) ||
-      /accounts\/(.*?)\/revenueShares/.test(url)
-    ) {
-      await this.processMultipleReleaseAccountData(
-        response.data.releases ||
-          response.data.collected ||
-          response.data.published ||
-          response.data.revenueShares,
-      )
-    } else if (/accounts\/(.*?)\/exchanges/.test(url)) {
-      await this.processMultipleExchangeAccountData(response.data.exchanges)
-    } else if (/^\/releases\/((?!(\/)).)*$/.test(url)) {
-      const release = await this.fetchAccountData(
-        response.data.release.publicKey,
-        'release',
+  /**
+   * Registers an enricher attaching on-chain account data to responses from a route when fetched
+   * `withAccountData`. Registered enrichers take precedence over the defaults in ./enrichers.
+   * @param {String} route - The route pattern, ie '/hubs/:publicKeyOrHandle/releases'.
+   * @param {Object} spec
+   * @param {Object} [spec.fields] - Maps response fields to account types, ie { releases: 'release' },
+   * or to { type, unwrapped: true } to attach the parsed account without wrapping it.
+   * @param {Function} [spec.enrich] - Called with (http, data, params) to enrich the response in place.
+   */
+  registerEnricher(route, { fields, enrich } = {}) {
+    if (!fields && !enrich) {
+      throw new ValidationError(
+        `Enricher for ${route} must declare fields or an enrich function`,
+        { field: 'spec' },
       )
+    }
+
+    Object.keys(fields || {}).forEach((field) => {
+      const { type } = fieldSpec(fields[field])
 
-      response.data.release.accountData = {
-        release: Formatter.parseReleaseAccountData(release),
+      if (!ACCOUNT_PROCESSORS[type]) {
+        throw new ValidationError(
+          `Unsupported account type ${type} for field ${field}`,
+          { field: 'fields' },
+        )
       }
-    } else if (/\/releases\/(.*?)\/exchanges/.test(url)) {
-      await this.processMultipleExchangeAccountData(response.data.exchanges)
-    } else if (/hubs\/(.*?)\/releases/.test(url)) {
-      const hubPublicKey = response.data.publicKey
-      await this.processMultipleHubContentAccountDataWithHub(
-        response.data.releases,
-        hubPublicKey,
-        'release',
-      )
-      // } else if (url === "/posts" || /accounts\/(.*?)\/posts/.test(url)) {
-    } else if (/hubs\/(.*?)\/posts/.test(url)) {
-      const hubPublicKey = response.data.publicKey
-      await this.processMultipleHubContentAccountDataWithHub(
-        response.data.posts,
-        hubPublicKey,
-        'post',
-      )
-    } else if (/^\/posts\/((?!(\/)).)*$/.test(url)) {
-      let post = await this.fetchAccountData(
-        response.data.post.publicKey,
-        'post',
-      )
-      post = Formatter.parsePostAccountData(post)
-      let publishedThroughHub = await this.fetchAccountData(
-        response.data.publishedThroughHub.publicKey,
-        'hub',
-      )
-      publishedThroughHub = Formatter.parseHubAccountData(publishedThroughHub)
-      response.data.post.accountData = post
-      response.data.publishedThroughHub.accountData = publishedThroughHub
-    } else if (/^\/accounts\/((?!(\/)).)*$/.test(url)) {
-      await this.processMulitpleHubAccountData(response.data.hubs)
-      await this.processMultipleReleaseAccountData(response.data.published)
-      await this.processMultipleReleaseAccountData(response.data.collected)
-      await this.processMultiplePostAccountData(response.data.posts)
-      await this.processMultipleExchangeAccountData(response.data.exchanges)
-    } else if (url === '/search') {
-      await this.processMulitpleHubAccountData(response.data.hubs)
-      await this.processMultipleReleaseAccountData(response.data.releases)
-    } else if (url === '/exchanges') {
-      await this.processMultipleExchangeAccountData(response.data.exchanges)
-    } else if (/^\/exchanges\/((?!(\/)).)*$/.test(url)) {
-      const exchangePublicKey = response.data.exchange.publicKey
-
-      const exchange = await this.fetchAccountData(
-        exchangePublicKey,
-        'exchange',
-      )
+    })
+
+    this.enrichers.unshift({
+      route,
+      fields,
+      enrich,
+      match: compileRoute(route),
+    })
+  }
+
+  findEnricher(url) {
+    for (const enricher of this.enrichers) {
+      const params = enricher.match(url)
+
+      if (params) {
+        return { enricher, params }
+      }
+    }
+
+    return undefined
+  }
+
+  async getAccountData(url, response) {
+    const found = this.findEnricher(url)
+
+    if (!found) {
+      return response.data
+    }
+
+    const { enricher, params } = found
+
+    if (enricher.fields) {
+      await this.enrichFields(response.data, enricher.fields)
+    }
 
-      response.data.exchange.accountData =
-        Formatter.parseExchangeAccountData(exchange)
+    if (enricher.enrich) {
+      await enricher.enrich(this, response.data, params)
     }
 
     return response.data
   }
 
+  async enrichFields(data, fields) {
+    // fields holding the same account type are fetched together, so that a release both
+    // published and collected by an account is only requested once
+    const entriesByType = {}
+    const unwrappedEntries = []
+    Object.keys(fields).forEach((field) => {
+      const { type, unwrapped } = fieldSpec(fields[field])
+      const value = data[field]
+
+      if (value) {
+        const entries = Array.isArray(value) ? value : [value]
+        entriesByType[type] = (entriesByType[type] || []).concat(entries)
+
+        if (unwrapped) {
+          entries.forEach((entry) => unwrappedEntries.push({ entry, type }))
+        }
+      }
+    })
+
+    for await (const type of Object.keys(entriesByType)) {
+      await this[ACCOUNT_PROCESSORS[type]](entriesByType[type])
+    }
+
+    unwrappedEntries.forEach(({ entry, type }) => {
+      if (entry.accountData) {
+        entry.accountData = entry.accountData[type]
+      }
+    })
+  }
+
   async processMultiplePostAccountData(data) {
     const publicKeys = data.map((post) => post.publicKey)
     const posts = await this.fetchAccountDataMultiple(publicKeys, 'post')
@@ -249,25 +427,19 @@ export default class Http {
   }
 
   async processMultipleExchangeAccountData(data) {
-    const publicKeys = []
-    data.forEach((exchange) => {
-      if (!exchange.cancelled && !exchange.completedBy) {
-        publicKeys.push(exchange.publicKey)
-      }
-    })
+    const openExchanges = data.filter(
+      (exchange) => !exchange.cancelled && !exchange.completedBy,
+    )
 
     const exchanges = await this.fetchAccountDataMultiple(
-      publicKeys,
+      openExchanges.map((exchange) => exchange.publicKey),
       'exchange',
     )
 
     exchanges.forEach((exchange, i) => {
       if (exchange) {
-        const publicKey = publicKeys[i]
         const parsedExchange = Formatter.parseExchangeAccountData(exchange)
-        data.filter(
-          (exchangeData) => exchangeData.publicKey === publicKey,
-        )[0].accountData = { exchange: parsedExchange }
+        openExchanges[i].accountData = { exchange: parsedExchange }
       }
     })
   }
@@ -276,11 +448,8 @@ export default class Http {
     const publicKeys = data.map((release) => release.publicKey)
     const releases = await this.fetchAccountDataMultiple(publicKeys, 'release')
     releases.forEach((release, i) => {
-      const publicKey = publicKeys[i]
       const parsedRelease = Formatter.parseReleaseAccountData(release)
-      data.filter(
-        (releaseData) => releaseData.publicKey === publicKey,
-      )[0].accountData = { release: parsedRelease }
+      data[i].accountData = { release: parsedRelease }
     })
   }
 
@@ -299,9 +468,7 @@ export default class Http {
           'release',
         )
 
-      data.filter(
-        (releaseData) => releaseData.publicKey === publicKey,
-      )[0].accountData = {
+      data[i].accountData = {
         release: parsedRelease,
         hubRelease: parsedHubReleaseAccount,
         hubContent: parsedHubContentAccount,
@@ -312,19 +479,10 @@ export default class Http {
 
   async processMultipleHubCollaboratorAccountDataWithHub(data, hubPublicKey) {
     const publicKeys = data.map((collaborator) => collaborator.publicKey)
-    const hubCollaboratorPublicKeys = []
-    for await (const publicKey of publicKeys) {
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-          new anchor.web3.PublicKey(publicKey).toBuffer(),
-        ],
-        new anchor.web3.PublicKey(this.program.programId),
-      )
 
-      hubCollaboratorPublicKeys.push(hubCollaborator.toBase58())
-    }
+    const hubCollaboratorPublicKeys = publicKeys.map((publicKey) =>
+      this.pda.hubCollaborator(hubPublicKey, publicKey)[0].toBase58(),
+    )
 
     const collaborators = await this.fetchAccountDataMultiple(
       hubCollaboratorPublicKeys,
@@ -333,7 +491,6 @@ export default class Http {
 
     let i = 0
     for await (const collaborator of collaborators) {
-      const publicKey = publicKeys[i]
       const hubCollaboratorPublicKey = hubCollaboratorPublicKeys[i]
 
       const parsedCollaborator = Formatter.parseHubCollaboratorAccountData(
@@ -341,9 +498,7 @@ export default class Http {
         hubCollaboratorPublicKey,
       )
 
-      data.filter(
-        (collaboratorData) => collaboratorData.publicKey === publicKey,
-      )[0].accountData = {
+      data[i].accountData = {
         collaborator: parsedCollaborator,
       }
       i++
@@ -355,19 +510,10 @@ export default class Http {
     collaboratorPublicKey,
   ) {
     const publicKeys = data.map((hub) => hub.publicKey)
-    const hubCollaboratorPublicKeys = []
-    for await (const publicKey of publicKeys) {
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          new anchor.web3.PublicKey(publicKey).toBuffer(),
-          new anchor.web3.PublicKey(collaboratorPublicKey).toBuffer(),
-        ],
-        new anchor.web3.PublicKey(this.program.programId),
-      )
 
-      hubCollaboratorPublicKeys.push(hubCollaborator.toBase58())
-    }
+    const hubCollaboratorPublicKeys = publicKeys.map((publicKey) =>
+      this.pda.hubCollaborator(publicKey, collaboratorPublicKey)[0].toBase58(),
+    )
 
     const collaborators = await this.fetchAccountDataMultiple(
       hubCollaboratorPublicKeys,
@@ -392,15 +538,7 @@ export default class Http {
     publicKey,
     hubPublicKey,
   ) {
-    const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-      [
-        Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-        new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-        new anchor.web3.PublicKey(publicKey).toBuffer(),
-      ],
-      new anchor.web3.PublicKey(this.program.programId),
-    )
-
+    const [hubCollaborator] = this.pda.hubCollaborator(hubPublicKey, publicKey)
     const hubCollaboratorPublicKey = hubCollaborator.toBase58()
 
     const collaborator = await this.fetchAccountData(
@@ -417,33 +555,13 @@ export default class Http {
   }
 
   async processMultipleHubReleasesAccountDataWithHub(data, releasePublicKey) {
-    const hubReleasePublicKeys = []
-    const hubContentPublicKeys = []
-    for await (const hub of data) {
-      const [hubReleasePublicKey] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode(`nina-hub-release`)),
-            new anchor.web3.PublicKey(hub.publicKey).toBuffer(),
-            new anchor.web3.PublicKey(releasePublicKey).toBuffer(),
-          ],
-          this.program.programId,
-        )
-
-      hubReleasePublicKeys.push(hubReleasePublicKey)
-
-      const [hubContentPublicKey] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode(`nina-hub-content`)),
-            new anchor.web3.PublicKey(hub.publicKey).toBuffer(),
-            new anchor.web3.PublicKey(releasePublicKey).toBuffer(),
-          ],
-          this.program.programId,
-        )
+    const hubReleasePublicKeys = data.map(
+      (hub) => this.pda.hubRelease(hub.publicKey, releasePublicKey)[0],
+    )
 
-      hubContentPublicKeys.push(hubContentPublicKey)
-    }
+    const hubContentPublicKeys = data.map(
+      (hub) => this.pda.hubContent(hub.publicKey, releasePublicKey)[0],
+    )
 
     const hubReleases = await this.fetchAccountDataMultiple(
       hubReleasePublicKeys,
@@ -479,25 +597,15 @@ export default class Http {
   async processHubReleaseAccountDataWithHub(releasePublicKey, hubPublicKey) {
     const release = await this.fetchAccountData(releasePublicKey, 'release')
 
-    const [hubReleasePublicKey] =
-      await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode(`nina-hub-release`)),
-          new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-          new anchor.web3.PublicKey(releasePublicKey).toBuffer(),
-        ],
-        this.program.programId,
-      )
+    const [hubReleasePublicKey] = this.pda.hubRelease(
+      hubPublicKey,
+      releasePublicKey,
+    )
 
-    const [hubContentPublicKey] =
-      await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode(`nina-hub-content`)),
-          new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-          new anchor.web3.PublicKey(releasePublicKey).toBuffer(),
-        ],
-        this.program.programId,
-      )
+    const [hubContentPublicKey] = this.pda.hubContent(
+      hubPublicKey,
+      releasePublicKey,
+    )
 
     const hubRelease = await this.fetchAccountData(
       hubReleasePublicKey,
@@ -540,35 +648,14 @@ export default class Http {
       accountType,
     )
 
-    const hubChildrenPublicKeys = []
-    const hubContentPublicKeys = []
-    for await (const publicKey of publicKeys) {
-      const [hubChildPublicKey] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(
-              anchor.utils.bytes.utf8.encode(`nina-hub-${accountType}`),
-            ),
-            new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-            new anchor.web3.PublicKey(publicKey).toBuffer(),
-          ],
-          this.program.programId,
-        )
-
-      hubChildrenPublicKeys.push(hubChildPublicKey)
+    const hubChildrenPublicKeys = publicKeys.map(
+      (publicKey) => this.pda.hubChild(accountType, hubPublicKey, publicKey)[0],
+    )
 
-      const [hubContentPublicKey] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode(`nina-hub-content`)),
-            new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-            new anchor.web3.PublicKey(publicKey).toBuffer(),
-          ],
-          this.program.programId,
-        )
+    const hubContentPublicKeys = publicKeys.map(
+      (publicKey) => this.pda.hubContent(hubPublicKey, publicKey)[0],
+    )
 
-      hubContentPublicKeys.push(hubContentPublicKey)
-    }
     const hubChildString = `hub${_.capitalize(accountType)}`
 
     const hubChildren = await this.fetchAccountDataMultiple(
@@ -606,9 +693,7 @@ export default class Http {
         publicKey,
       )
 
-      data.filter(
-        (accountData) => accountData.publicKey === publicKey,
-      )[0].accountData = {
+      data[i].accountData = {
         [accountType]: parsedAccount,
         [hubChildString]: parsedChild,
         hubContent: parsedHubContent,
@@ -617,6 +702,42 @@ export default class Http {
     }
   }
 
+  async processMultipleSubscriptionAccountData(data) {
+    const publicKeys = data.map((subscription) => subscription.publicKey)
+
+    const subscriptions = await this.fetchAccountDataMultiple(
+      publicKeys,
+      'subscription',
+    )
+
+    subscriptions.forEach((subscription, i) => {
+      // unsubscribing closes the account
+      if (subscription) {
+        data[i].accountData = {
+          subscription: Formatter.parseSubscriptionAccountData(
+            subscription,
+            publicKeys[i],
+          ),
+        }
+      }
+    })
+  }
+
+  async processMultipleVerificationAccountData(data) {
+    const publicKeys = data.map((verification) => verification.publicKey)
+    const accounts = await this.fetchAccountInfoMultiple(publicKeys)
+    accounts.forEach((account, i) => {
+      if (account) {
+        data[i].accountData = {
+          verification: Formatter.parseNameRegistryAccountData(
+            account,
+            publicKeys[i],
+          ),
+        }
+      }
+    })
+  }
+
   async processMulitpleHubAccountData(data) {
     const publicKeys = data.map((account) => account.publicKey)
     const hubs = await this.fetchAccountDataMultiple(publicKeys, 'hub')
@@ -624,10 +745,9 @@ export default class Http {
       const publicKey = publicKeys[i]
       const parsedHub = Formatter.parseHubAccountData(hub)
       parsedHub.publicKey = publicKey
-      data.filter((hubData) => hubData.publicKey === publicKey)[0].accountData =
-        {
-          hub: parsedHub,
-        }
+      data[i].accountData = {
+        hub: parsedHub,
+      }
     })
   }
 }
@@ -1,3 +1,26 @@
 import client from './client'
 
+export { NinaClient, createNinaClient } from './client'
+
+export {
+  NinaError,
+  NetworkError,
+  IndexerError,
+  RpcError,
+  TransactionExpiredError,
+  ProgramError,
+  InsufficientFundsError,
+  ValidationError,
+} from './errors'
+
+export {
+  METADATA_VERSION,
+  DEFAULT_ARWEAVE_GATEWAY,
+  SCHEMAS as METADATA_SCHEMAS,
+} from './metadata'
+
+export { HUB_ROLES } from './resources/hubs'
+
+export { paginate } from './paginate'
+
 export default client
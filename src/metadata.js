@@ -0,0 +1,439 @@
+import _ from 'lodash'
+import { ValidationError } from './errors'
+
+/**
+ * @module Metadata
+ * @description Builds, validates and normalizes the metadata JSON of Releases, Hubs and Posts.
+ *
+ * Each type of metadata is described by a schema - a subset of JSON Schema supporting `type`, `required`,
+ * `properties`, `items`, `minItems` and `minimum`. Documents built by the SDK carry the `version` of the schema
+ * they follow, and documents published before versioning are upgraded by `normalize`. URLs are produced with the
+ * configured Arweave gateway.
+ */
+
+export const METADATA_VERSION = 1
+
+export const DEFAULT_ARWEAVE_GATEWAY = 'https://www.arweave.net'
+
+const nullableNumber = { type: ['number', 'null'], minimum: 0 }
+
+export const SCHEMAS = {
+  release: {
+    type: 'object',
+    required: ['name', 'symbol', 'image', 'animation_url', 'properties'],
+    properties: {
+      name: { type: 'string' },
+      symbol: { type: 'string' },
+      description: { type: 'string' },
+      seller_fee_basis_points: { type: 'number', minimum: 0 },
+      image: { type: 'string' },
+      animation_url: { type: 'string' },
+      external_url: { type: 'string' },
+      version: { type: 'number' },
+      properties: {
+        type: 'object',
+        required: ['artist', 'title', 'files', 'category'],
+        properties: {
+          artist: { type: 'string' },
+          title: { type: 'string' },
+          md5Digest: { type: 'string' },
+          duration: nullableNumber,
+          category: { type: 'string' },
+          files: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['uri', 'track', 'track_title', 'duration', 'type'],
+              properties: {
+                uri: { type: 'string' },
+                track: { type: 'number', minimum: 1 },
+                track_title: { type: 'string' },
+                duration: nullableNumber,
+                type: { type: 'string' },
+                isrc: { type: 'string' },
+                credits: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  hub: {
+    type: 'object',
+    required: ['displayName', 'handle', 'image'],
+    properties: {
+      displayName: { type: 'string' },
+      handle: { type: 'string' },
+      description: { type: 'string' },
+      externalUrl: { type: 'string' },
+      image: { type: 'string' },
+      version: { type: 'number' },
+    },
+  },
+  post: {
+    type: 'object',
+    required: ['title', 'body', 'hub'],
+    properties: {
+      title: { type: 'string' },
+      body: { type: 'string' },
+      hub: { type: 'string' },
+      slug: { type: 'string' },
+      reference: { type: 'string' },
+      heroImage: { type: 'string' },
+      date: { type: 'string' },
+      version: { type: 'number' },
+    },
+  },
+}
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null'
+  }
+
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+
+  return typeof value
+}
+
+const validateValue = (schema, value, field, errors) => {
+  const types = [].concat(schema.type || [])
+
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    errors.push({ field, message: `must be of type ${types.join(' or ')}` })
+
+    return errors
+  }
+
+  if (typeof value === 'number' && value < schema.minimum) {
+    errors.push({ field, message: `must be at least ${schema.minimum}` })
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length < schema.minItems) {
+      errors.push({
+        field,
+        message: `must have at least ${schema.minItems} items`,
+      })
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateValue(schema.items, item, `${field}[${index}]`, errors),
+      )
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const path = (key) => (field ? `${field}.${key}` : key)
+    _.forEach(schema.required, (key) => {
+      if (value[key] === undefined) {
+        errors.push({ field: path(key), message: 'is required' })
+      }
+    })
+
+    _.forEach(schema.properties, (propertySchema, key) => {
+      if (value[key] !== undefined) {
+        validateValue(propertySchema, value[key], path(key), errors)
+      }
+    })
+  }
+
+  return errors
+}
+
+const schemaFor = (type) => {
+  if (!SCHEMAS[type]) {
+    throw new ValidationError(
+      `Metadata type must be one of ${Object.keys(SCHEMAS).join(', ')}`,
+      { field: 'type' },
+    )
+  }
+
+  return SCHEMAS[type]
+}
+
+// the fields of Nina API responses holding Releases, Hubs and Posts, and the field of each holding its metadata
+const RESPONSE_FIELDS = {
+  release: { type: 'release', field: 'metadata' },
+  releases: { type: 'release', field: 'metadata' },
+  collected: { type: 'release', field: 'metadata' },
+  published: { type: 'release', field: 'metadata' },
+  hub: { type: 'hub', field: 'data' },
+  hubs: { type: 'hub', field: 'data' },
+  post: { type: 'post', field: 'data' },
+  posts: { type: 'post', field: 'data' },
+}
+
+const totalDuration = (files) =>
+  files.reduce((total, file) => total + (file.duration || 0), 0)
+
+/** Class building, validating and normalizing Nina metadata */
+export default class Metadata {
+  /**
+   * @param {Object} [config = {}]
+   * @param {String} [config.arweaveGateway = 'https://www.arweave.net'] - The base of the Arweave URLs in metadata.
+   */
+  constructor({ arweaveGateway = DEFAULT_ARWEAVE_GATEWAY } = {}) {
+    this.arweaveGateway = arweaveGateway.replace(/\/+$/, '')
+  }
+
+  /**
+   * @function arweaveUrl
+   * @description The URL of an Arweave transaction on the configured gateway.
+   * @param {String} txid - The Arweave transaction id.
+   * @param {String} [extension] - Appended as `?ext=`, ie 'mp3' for players that rely on the extension.
+   * @returns {String}
+   */
+  arweaveUrl(txid, extension = undefined) {
+    return `${this.arweaveGateway}/${txid}${
+      extension ? `?ext=${extension}` : ''
+    }`
+  }
+
+  /**
+   * @function validate
+   * @description Validates a metadata document against the schema of its type.
+   * @param {String} type - 'release', 'hub' or 'post'.
+   * @param {Object} document - The metadata JSON.
+   * @example
+   * const { valid, errors } = NinaClient.Metadata.validate('release', release.metadata)
+   * // errors: [{ field: 'properties.files[0].duration', message: 'is required' }]
+   * @returns {Object} { valid, errors } where errors lists { field, message }.
+   */
+  validate(type, document) {
+    const errors = validateValue(schemaFor(type), document, '', [])
+
+    return {
+      valid: errors.length === 0,
+      errors: errors.map((error) => ({
+        ...error,
+        field: error.field || type,
+      })),
+    }
+  }
+
+  /**
+   * @function assertValid
+   * @description Throws a ValidationError naming the first invalid field when a document does not match its schema.
+   * @param {String} type - 'release', 'hub' or 'post'.
+   * @param {Object} document - The metadata JSON.
+   * @returns {Object} the document.
+   */
+  assertValid(type, document) {
+    const { valid, errors } = this.validate(type, document)
+
+    if (!valid) {
+      throw new ValidationError(
+        `Invalid ${type} metadata: ${errors[0].field} ${errors[0].message}`,
+        { field: errors[0].field },
+      )
+    }
+
+    return document
+  }
+
+  /**
+   * @function normalize
+   * @description Upgrades a metadata document published by an earlier version of the SDK or the Nina web app to the
+   * current schema, ie filling in the track numbers and titles, a null duration for tracks without one and the total
+   * duration of a Release. The document is copied, not modified.
+   * @param {String} type - 'release', 'hub' or 'post'.
+   * @param {Object} document - The metadata JSON, ie the metadata of a Release fetched from the Nina API.
+   * @example const metadata = NinaClient.Metadata.normalize('release', release.metadata)
+   * @returns {Object} the normalized document.
+   */
+  normalize(type, document) {
+    schemaFor(type)
+
+    if (!document || typeOf(document) !== 'object') {
+      return document
+    }
+
+    const normalized = _.cloneDeep(document)
+
+    if (type === 'release' && normalized.properties) {
+      const { properties } = normalized
+      properties.files = (properties.files || []).map((file, index) => ({
+        ...file,
+        track: file.track || index + 1,
+        track_title: file.track_title || properties.title,
+        duration: file.duration === undefined ? null : file.duration,
+        type: file.type || 'audio/mpeg',
+      }))
+
+      if (properties.duration === undefined) {
+        properties.duration = totalDuration(properties.files)
+      }
+    }
+
+    return normalized
+  }
+
+  /**
+   * @function normalizeResponse
+   * @description Normalizes the metadata of the Releases, Hubs and Posts of a Nina API response, ie
+   * `release.metadata`, `releases[].metadata` or `hubs[].data`. Used by the client when initialized with
+   * `normalizeMetadata`, otherwise callers normalize the metadata they read with `normalize`.
+   * @param {Object} response - The response of the Nina API.
+   * @example const { releases } = NinaClient.Metadata.normalizeResponse(await NinaClient.Release.fetchAll())
+   * @returns {Object} the response, with the metadata replaced by normalized copies.
+   */
+  normalizeResponse(response) {
+    if (!response || typeOf(response) !== 'object') {
+      return response
+    }
+
+    _.forEach(RESPONSE_FIELDS, ({ type, field }, key) => {
+      const items = [].concat(response[key] || [])
+      items.forEach((item) => {
+        if (item && typeOf(item[field]) === 'object') {
+          item[field] = this.normalize(type, item[field])
+        }
+      })
+    })
+
+    return response
+  }
+
+  /**
+   * @function buildRelease
+   * @description Builds the metadata JSON of a Release, with an entry per track in `properties.files`.
+   * @param {Object} params
+   * @param {String} params.releasePublicKey - The public key of the Release.
+   * @param {String} params.artist - The name of the artist.
+   * @param {String} params.title - The title of the Release.
+   * @param {Number} params.sellerFeeBasisPoints - The resale percentage.
+   * @param {String} params.catalogNumber - The catalog number, used as the symbol.
+   * @param {String} params.description - The description of the Release.
+   * @param {String} params.artworkTx - The Arweave transaction of the artwork.
+   * @param {Array} params.tracks - The uploaded tracks in order, ie [{ trackTx, title, duration, isrc, credits }].
+   * @param {String} [params.md5Digest] - The md5 digest of the first track.
+   * @returns {Object} the metadata JSON, where `properties.duration` is the total duration of the tracks.
+   */
+  buildRelease({
+    releasePublicKey,
+    artist,
+    title,
+    sellerFeeBasisPoints,
+    catalogNumber,
+    description,
+    artworkTx,
+    tracks,
+    md5Digest = undefined,
+  }) {
+    const name = `${artist} - ${title}`
+
+    const files = tracks.map((track, index) => {
+      const file = {
+        uri: this.arweaveUrl(track.trackTx),
+        track: index + 1,
+        track_title: track.title,
+        duration: track.duration === undefined ? null : track.duration,
+        type: 'audio/mpeg',
+      }
+
+      if (track.isrc) {
+        file.isrc = track.isrc
+      }
+
+      if (track.credits) {
+        file.credits = track.credits
+      }
+
+      return file
+    })
+
+    return {
+      version: METADATA_VERSION,
+      name,
+      symbol: catalogNumber,
+      description,
+      seller_fee_basis_points: sellerFeeBasisPoints,
+      image: this.arweaveUrl(artworkTx),
+      animation_url: this.arweaveUrl(tracks[0].trackTx, 'mp3'),
+      external_url: `https://ninaprotocol.com/${releasePublicKey}`,
+      attributes: [],
+      collection: {
+        name: `${artist} - ${title} (Nina)`,
+        family: 'Nina',
+      },
+      properties: {
+        artist,
+        title,
+        date: new Date(),
+        md5Digest,
+        files,
+        duration: totalDuration(files),
+        category: 'audio',
+      },
+    }
+  }
+
+  /**
+   * @function buildHub
+   * @description Builds the metadata JSON of a Hub, to be uploaded and passed as the uri of `hubInit` or `hubUpdateConfig`.
+   * @param {Object} params
+   * @param {String} params.displayName - The name of the Hub.
+   * @param {String} params.handle - The handle of the Hub.
+   * @param {String} [params.description] - The description of the Hub.
+   * @param {String} [params.externalUrl] - A link displayed on the Hub.
+   * @param {String} params.imageTx - The Arweave transaction of the Hub image.
+   * @returns {Object} the metadata JSON.
+   */
+  buildHub({
+    displayName,
+    handle,
+    description = '',
+    externalUrl = '',
+    imageTx,
+  }) {
+    return {
+      version: METADATA_VERSION,
+      displayName,
+      handle,
+      description,
+      externalUrl,
+      image: this.arweaveUrl(imageTx),
+    }
+  }
+
+  /**
+   * @function buildPost
+   * @description Builds the metadata JSON of a Post, to be uploaded and passed as the uri of `postInitViaHub`.
+   * @param {Object} params
+   * @param {String} params.title - The title of the Post.
+   * @param {String} params.body - The body of the Post.
+   * @param {String} params.hub - The public key of the Hub the Post is published to.
+   * @param {String} [params.slug] - The slug of the Post.
+   * @param {String} [params.reference] - The public key of a Release the Post references.
+   * @param {String} [params.heroImageTx] - The Arweave transaction of the hero image.
+   * @returns {Object} the metadata JSON.
+   */
+  buildPost({
+    title,
+    body,
+    hub,
+    slug = undefined,
+    reference = undefined,
+    heroImageTx = undefined,
+  }) {
+    return _.omitBy(
+      {
+        version: METADATA_VERSION,
+        title,
+        body,
+        hub,
+        slug,
+        reference,
+        heroImage: heroImageTx ? this.arweaveUrl(heroImageTx) : undefined,
+        date: new Date().toISOString(),
+      },
+      _.isUndefined,
+    )
+  }
+}
@@ -0,0 +1,96 @@
+import Promise from 'promise'
+
+/**
+ * @module Paginate
+ */
+
+/** Class walking the pages of a paginated Nina API route */
+class Paginator {
+  constructor(
+    fetchPage,
+    key,
+    { limit = 20, offset = 0, sort = 'desc', prefetch = false } = {},
+  ) {
+    this.fetchPage = fetchPage
+    this.key = key
+    this.limit = limit
+    this.offset = offset
+    this.sort = sort
+    this.prefetch = prefetch
+    this.request = undefined
+  }
+
+  // a page settles to { response } or { error } as soon as it is requested, so a prefetched page failing while the
+  // current page is consumed is not an unhandled rejection; its error is thrown once the page is reached
+  requestPage() {
+    return new Promise((resolve) =>
+      resolve(
+        this.fetchPage({
+          limit: this.limit,
+          offset: this.offset,
+          sort: this.sort,
+        }),
+      ),
+    ).then(
+      (response) => ({ response }),
+      (error) => ({ error }),
+    )
+  }
+
+  *pages() {
+    this.request = this.requestPage()
+
+    while (this.request) {
+      yield this.request
+    }
+  }
+
+  async *items() {
+    for await (const { response, error } of this.pages()) {
+      this.request = undefined
+
+      if (error) {
+        throw error
+      }
+
+      const items = response[this.key] || []
+      this.offset += items.length
+
+      const hasNextPage =
+        items.length > 0 &&
+        (typeof response.total === 'number'
+          ? this.offset < response.total
+          : items.length >= this.limit)
+
+      if (hasNextPage && this.prefetch) {
+        this.request = this.requestPage()
+      }
+
+      for (const item of items) {
+        yield item
+      }
+
+      if (hasNextPage && !this.prefetch) {
+        this.request = this.requestPage()
+      }
+    }
+  }
+}
+
+/**
+ * @function paginate
+ * @description Creates an async iterator over every item of a paginated Nina API route, fetching successive
+ * pages as items are consumed. Iteration stops once the `total` reported by the API has been reached
+ * (or an empty or partial page is returned), and breaking out of a `for await` loop stops further requests.
+ * @param {Function} fetchPage - Called with `{ limit, offset, sort }`, resolves to the API response for that page.
+ * @param {String} key - The property of the response containing the page items, ie 'releases'.
+ * @param {Object} [options = {}] - Pagination options.
+ * @param {Number} [options.limit = 20] - The number of items requested per page.
+ * @param {Number} [options.offset = 0] - The offset of the first item.
+ * @param {String} [options.sort = 'desc'] - The sort order.
+ * @param {Boolean} [options.prefetch = false] - Request the next page while the current page is being consumed.
+ * @example for await (const release of paginate((pagination) => NinaClient.Release.fetchAll(pagination), 'releases')) {}
+ * @returns {AsyncIterator} an async iterator of the items of every page.
+ */
+export const paginate = (fetchPage, key, options = {}) =>
+  new Paginator(fetchPage, key, options).items()
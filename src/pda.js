@@ -0,0 +1,122 @@
+import * as anchor from '@project-serum/anchor'
+import { MemoryCache } from './cache'
+
+/**
+ * @module Pda
+ * @description Derives the program addresses of Nina accounts. Derivations are synchronous and memoized,
+ * so resolving the hub content of hundreds of releases does not repeat the bump search for every lookup.
+ * Every method accepts PublicKeys or base58 strings and returns `[publicKey, bump]`.
+ */
+
+const toBuffer = (seed) => {
+  if (Buffer.isBuffer(seed)) {
+    return seed
+  }
+
+  if (typeof seed === 'string') {
+    return new anchor.web3.PublicKey(seed).toBuffer()
+  }
+
+  return seed.toBuffer()
+}
+
+const utf8 = (seed) => Buffer.from(anchor.utils.bytes.utf8.encode(seed))
+
+/** Class deriving and memoizing the program addresses of Nina accounts */
+export default class Pda {
+  /**
+   * @param {PublicKey|String} programId - The Nina program id.
+   * @param {Object} [options = {}]
+   * @param {Number} [options.maxEntries = 5000] - The number of derived addresses kept before the least recently used are evicted.
+   */
+  constructor(programId, { maxEntries = 5000 } = {}) {
+    this.programId = new anchor.web3.PublicKey(programId)
+    this.cache = new MemoryCache({ maxEntries })
+  }
+
+  /**
+   * @function find
+   * @description Derives a program address from raw seeds.
+   * @param {Array} seeds - Buffers, PublicKeys or base58 strings.
+   * @param {PublicKey} [programId = this.programId] - The program owning the address.
+   * @returns {Array} [publicKey, bump]
+   */
+  find(seeds, programId = this.programId) {
+    const buffers = seeds.map(toBuffer)
+
+    const key = `${programId.toBase58()}:${buffers
+      .map((buffer) => buffer.toString('hex'))
+      .join(':')}`
+
+    const cached = this.cache.get(key)
+
+    if (cached) {
+      return cached
+    }
+
+    const address = anchor.web3.PublicKey.findProgramAddressSync(
+      buffers,
+      programId,
+    )
+
+    this.cache.set(key, address)
+
+    return address
+  }
+
+  hub(handle) {
+    return this.find([utf8('nina-hub'), utf8(handle)])
+  }
+
+  hubSigner(hub) {
+    return this.find([utf8('nina-hub-signer'), hub])
+  }
+
+  hubCollaborator(hub, collaborator) {
+    return this.find([utf8('nina-hub-collaborator'), hub, collaborator])
+  }
+
+  hubContent(hub, child) {
+    return this.find([utf8('nina-hub-content'), hub, child])
+  }
+
+  /**
+   * @function hubChild
+   * @description Derives the hub account linking a release or post to a hub.
+   * @param {String} accountType - 'release' or 'post'.
+   * @param {PublicKey|String} hub - The hub.
+   * @param {PublicKey|String} child - The release or post.
+   * @returns {Array} [publicKey, bump]
+   */
+  hubChild(accountType, hub, child) {
+    return this.find([utf8(`nina-hub-${accountType}`), hub, child])
+  }
+
+  hubRelease(hub, release) {
+    return this.hubChild('release', hub, release)
+  }
+
+  hubPost(hub, post) {
+    return this.hubChild('post', hub, post)
+  }
+
+  release(releaseMint) {
+    return this.find([utf8('nina-release'), releaseMint])
+  }
+
+  releaseSigner(release) {
+    return this.find([release])
+  }
+
+  post(hub, slugHash) {
+    return this.find([utf8('nina-post'), hub, utf8(slugHash)])
+  }
+
+  subscription(from, to) {
+    return this.find([utf8('nina-subscription'), from, to])
+  }
+
+  exchangeSigner(exchange) {
+    return this.find([exchange])
+  }
+}
@@ -1,3 +1,5 @@
+import { paginate } from '../paginate'
+
 /**
  * @module Account
  * */
@@ -23,6 +25,21 @@ export default class Account {
     })
   }
 
+  /**
+   * @function iterateAll
+   * @description Iterates over all of the Accounts on Nina, fetching pages as they are consumed.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @example for await (const account of NinaClient.Account.iterateAll()) {}
+   * @returns {AsyncIterator} an async iterator of all of the Accounts on Nina.
+   */
+  iterateAll(options = {}) {
+    return paginate(
+      (pagination) => this.fetchAll(pagination),
+      'accounts',
+      options,
+    )
+  }
+
   /**
    * @function fetch
    * @description Fetches Releases Published, Releases Collected, Hubs collaborated on, Posts published,
@@ -53,6 +70,23 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iterateHubs
+   * @description Iterates over the Hubs that an Account is a collaborator or authority of.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Hub accounts.
+   * @example for await (const item of NinaClient.Account.iterateHubs("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Hubs that an Account is a collaborator or authority on.
+   */
+  iterateHubs(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchHubs(publicKey, pagination, withAccountData),
+      'hubs',
+      options,
+    )
+  }
+
   /**
    * @function fetchCollected
    * @description Fetches the Releases collected by an Account.
@@ -74,6 +108,24 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iterateCollected
+   * @description Iterates over the Releases collected by an Account.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Release accounts.
+   * @example for await (const item of NinaClient.Account.iterateCollected("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Releases collected by an Account.
+   */
+  iterateCollected(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchCollected(publicKey, pagination, withAccountData),
+      'collected',
+      options,
+    )
+  }
+
   /**
    * @function fetchPublished
    * @description Fetches the Releases that an Account has published.
@@ -95,6 +147,24 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iteratePublished
+   * @description Iterates over the Releases that an Account has published.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Release accounts.
+   * @example for await (const item of NinaClient.Account.iteratePublished("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Releases published by an Account.
+   */
+  iteratePublished(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchPublished(publicKey, pagination, withAccountData),
+      'published',
+      options,
+    )
+  }
+
   /**
    * @function fetchPosts
    * @description Fetches the Posts published by an Account.
@@ -112,6 +182,23 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iteratePosts
+   * @description Iterates over the Posts published by an Account.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Post accounts.
+   * @example for await (const item of NinaClient.Account.iteratePosts("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Posts published by an Account.
+   */
+  iteratePosts(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchPosts(publicKey, pagination, withAccountData),
+      'posts',
+      options,
+    )
+  }
+
   /**
    * @function fetchExchanges
    * @description Fetches the open, cancelled and completed Exchanges for an Account.
@@ -133,6 +220,24 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iterateExchanges
+   * @description Iterates over the open, cancelled and completed Exchanges for an Account.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Exchange accounts.
+   * @example for await (const item of NinaClient.Account.iterateExchanges("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Exchanges belonging to an Account.
+   */
+  iterateExchanges(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchExchanges(publicKey, pagination, withAccountData),
+      'exchanges',
+      options,
+    )
+  }
+
   /**
    * @function fetchRevenueShares
    * @description Fetches the Releases that an Account has Revenue Share on.
@@ -154,6 +259,24 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iterateRevenueShares
+   * @description Iterates over the Releases that an Account has Revenue Share on.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Release accounts.
+   * @example for await (const item of NinaClient.Account.iterateRevenueShares("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Releases that an Account is a royalty recipient of.
+   */
+  iterateRevenueShares(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchRevenueShares(publicKey, pagination, withAccountData),
+      'revenueShares',
+      options,
+    )
+  }
+
   /**
    * @function fetchSubscriptions
    * @description Fetches the Subcriptions for an Account.
@@ -175,15 +298,60 @@ export default class Account {
     )
   }
 
+  /**
+   * @function iterateSubscriptions
+   * @description Iterates over the Subscriptions for an Account.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Subscription accounts.
+   * @example for await (const item of NinaClient.Account.iterateSubscriptions("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Accounts or Hubs that an Account is subscribed to.
+   */
+  iterateSubscriptions(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchSubscriptions(publicKey, pagination, withAccountData),
+      'subscriptions',
+      options,
+    )
+  }
+
   /**
    * @function fetchVerifications
    * @description Fetches the Verifications for an Account.
    * @param {String} publicKey - The public key of the Account.
    * @param {Object} [pagination = {limit, offset, sort}] Pagination options.
+   * @param {Boolean} [withAccountData = false] Include full on-chain Verification accounts.
    * @example const verifications = await NinaClient.Account.fetchVerifications("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ");
    * @returns {Array} an array of all of the Verifications for an Account.
    * */
-  async fetchVerifications(publicKey, pagination = {}) {
-    return this.http.get(`/accounts/${publicKey}/verifications`, pagination)
+  async fetchVerifications(
+    publicKey,
+    pagination = {},
+    withAccountData = false,
+  ) {
+    return this.http.get(
+      `/accounts/${publicKey}/verifications`,
+      pagination,
+      withAccountData,
+    )
+  }
+
+  /**
+   * @function iterateVerifications
+   * @description Iterates over the Verifications for an Account.
+   * @param {String} publicKey - The public key of the Account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Verification accounts.
+   * @example for await (const item of NinaClient.Account.iterateVerifications("52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Verifications for an Account.
+   */
+  iterateVerifications(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchVerifications(publicKey, pagination, withAccountData),
+      'verifications',
+      options,
+    )
   }
 }
@@ -1,8 +1,16 @@
 import * as anchor from '@project-serum/anchor'
+import _ from 'lodash'
+import Promise from 'promise'
+import { ValidationError, handleError } from '../errors'
+import Formatter from '../formatter'
+import { paginate } from '../paginate'
 import {
   NINA_CLIENT_IDS,
+  decimalsForMint,
   findOrCreateAssociatedTokenAccount,
   isSol,
+  nativeToUi,
+  uiToNative,
   wrapSol,
 } from '../utils'
 
@@ -10,12 +18,78 @@ import {
  * @module Exchange
  */
 
+// the indexer returns related accounts either as public keys or as objects
+const publicKeyOf = (account) => {
+  if (account && typeof account === 'object') {
+    return account.publicKey
+  }
+
+  return account
+}
+
+// resale percentages and revenue shares are stored on-chain in millionths
+const ONE_HUNDRED_PERCENT = 1000000
+
+const shareOf = (amount, share) =>
+  new anchor.BN(amount)
+    .mul(share)
+    .div(new anchor.BN(ONE_HUNDRED_PERCENT))
+    .toNumber()
+
+const percentageOf = (share) => share.toNumber() / (ONE_HUNDRED_PERCENT / 100)
+
+// instructions other than the creation of an associated token account are their own key
+const tokenAccountCreatedBy = (instruction) => {
+  if (instruction.programId.equals(anchor.utils.token.ASSOCIATED_PROGRAM_ID)) {
+    return instruction.keys[1].pubkey.toBase58()
+  }
+
+  return instruction
+}
+
+const timestampOf = (date) => (date ? new Date(date).getTime() : undefined)
+
+// the on-chain account of an open Exchange is authoritative, closed Exchanges are only known to the indexer
+const exchangeTerms = (exchange) => {
+  const account = exchange.accountData
+    ? exchange.accountData.exchange
+    : undefined
+
+  return {
+    isSelling: account ? account.isSelling : Boolean(exchange.isSale),
+    initializerAmount: Number(
+      account ? account.initializerAmount : exchange.initializerAmount,
+    ),
+    expectedAmount: Number(
+      account ? account.expectedAmount : exchange.expectedAmount,
+    ),
+    initializer: account
+      ? account.initializer
+      : publicKeyOf(exchange.initializer),
+  }
+}
+
 export default class Exchange {
-  constructor({ http, program, provider, cluster }) {
+  constructor({
+    http,
+    program,
+    pda,
+    provider,
+    watcher,
+    transactions,
+    sync,
+    cluster,
+    legacyErrors,
+  }) {
     this.http = http
     this.program = program
+    this.pda = pda
+    this.watcher = watcher
+    this.transactions = transactions
+    this.sync = sync
     this.provider = provider
     this.cluster = cluster
+    this.legacyErrors = legacyErrors
   }
   /**
    * @function fetchAll
@@ -40,6 +114,22 @@ export default class Exchange {
     )
   }
 
+  /**
+   * @function iterateAll
+   * @description Iterates over all of the Exchanges on Nina, fetching pages as they are consumed.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Exchange accounts.
+   * @example for await (const exchange of NinaClient.Exchange.iterateAll()) {}
+   * @returns {AsyncIterator} an async iterator of all of the Exchanges on Nina.
+   */
+  iterateAll(options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchAll(pagination, withAccountData),
+      'exchanges',
+      options,
+    )
+  }
+
   /**
    * @function fetch
    * @description Fetches an exchange.
@@ -61,161 +151,569 @@ export default class Exchange {
   }
 
   /**
-   * @function exchangeInit
-   * @description Initializes an Exchange account.
-   * @param {Number} amount - The amount being offered for the Exchange.
-   * @param {Boolean} isSelling - A boolean determining whether the Exchange is selling or buying a Release on the secondary market.
-   * @param {String} releasePublicKey - The public key of the Release account.
-   * @returns {Object} the data for the initialized Exchange.
+   * @function watch
+   * @description Calls `callback` with the parsed on-chain Exchange account whenever it changes.
+   * Accepting or cancelling an Exchange closes its account, which is reported as `null`.
+   * @param {String} publicKey - The public key of the Exchange account.
+   * @param {Function} callback - Called with (exchange, context).
+   * @param {Object} [options = {}] - Watch options: mode ('websocket' or 'polling'), pollInterval, onError.
+   * @example const { unsubscribe } = NinaClient.Exchange.watch('Fxv2G4cQQAeEXN2WkaSAusbNV7E1ouV9W6XHXf3DEfQ8', (exchange) => {});
+   * @returns {Object} { unsubscribe }
    */
+  watch(publicKey, callback, options = {}) {
+    return this.watcher.watchAccount(publicKey, 'exchange', callback, {
+      ...options,
+      parse: (exchange) => Formatter.parseExchangeAccountData(exchange),
+    })
+  }
 
-  async exchangeInit(amount, isSelling, releasePublicKey) {
-    try {
-      let initializerSendingMint = null
-      let initializerExpectedMint = null
-      let expectedAmount = null
-      let initializerAmount = null
-      const release = new anchor.web3.PublicKey(releasePublicKey)
-      const releaseAccount = await this.program.account.release.fetch(release)
-      const { releaseMint } = releaseAccount
-
-      if (isSelling) {
-        expectedAmount = new anchor.BN(amount)
-        initializerSendingMint = releaseMint
-        initializerAmount = new anchor.BN(1)
-        initializerExpectedMint = releaseAccount.paymentMint
-      } else {
-        expectedAmount = new anchor.BN(1)
-        initializerSendingMint = releaseAccount.paymentMint
-        initializerAmount = new anchor.BN(amount)
-        initializerExpectedMint = releaseMint
+  /**
+   * @function orderBook
+   * @description Builds the secondary market of a Release from its Exchanges: the open asks (editions for sale) and
+   * bids (offers to buy an edition), the best of each with the spread between them, and the history of completed
+   * trades. Prices are in the payment mint of the Release, in UI units.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @example const { bestBid, bestAsk, spread, trades } = await NinaClient.Exchange.orderBook("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ");
+   * @returns {Object} { release, paymentMint, bids, asks, bestBid, bestAsk, spread, lastPrice, trades } where bids and
+   * asks list { publicKey, side, price, nativePrice, initializer, createdAt, age } best first, and trades list
+   * { publicKey, side, price, nativePrice, buyer, seller, completedAt } most recent first.
+   */
+  async orderBook(releasePublicKey) {
+    const release = await this.program.account.release.fetch(
+      new anchor.web3.PublicKey(releasePublicKey),
+    )
+
+    const paymentMint = release.paymentMint.toBase58()
+    const now = Date.now()
+    const exchanges = []
+    for await (const exchange of paginate(
+      (pagination) =>
+        this.http.get(
+          `/releases/${releasePublicKey}/exchanges`,
+          pagination,
+          true,
+        ),
+      'exchanges',
+      { limit: 100 },
+    )) {
+      exchanges.push(exchange)
+    }
+
+    const priced = exchanges.map((exchange) => {
+      const terms = exchangeTerms(exchange)
+
+      const nativePrice = terms.isSelling
+        ? terms.expectedAmount
+        : terms.initializerAmount
+
+      return {
+        exchange,
+        terms,
+        publicKey: exchange.publicKey,
+        side: terms.isSelling ? 'ask' : 'bid',
+        price: nativeToUi(nativePrice, paymentMint, this.cluster),
+        nativePrice,
       }
+    })
+
+    // an open Exchange without an on-chain account was accepted or cancelled since it was indexed
+    const open = priced
+      .filter(
+        ({ exchange }) =>
+          !exchange.cancelled &&
+          !exchange.completedBy &&
+          exchange.accountData &&
+          exchange.accountData.exchange,
+      )
+      .map(({ exchange, terms, ...order }) => {
+        const createdAt = timestampOf(exchange.createdAt)
+
+        return {
+          ...order,
+          initializer: terms.initializer,
+          createdAt,
+          age: createdAt === undefined ? undefined : now - createdAt,
+        }
+      })
+
+    const bids = open
+      .filter(({ side }) => side === 'bid')
+      .sort((a, b) => b.nativePrice - a.nativePrice)
+
+    const asks = open
+      .filter(({ side }) => side === 'ask')
+      .sort((a, b) => a.nativePrice - b.nativePrice)
+
+    const trades = priced
+      .filter(({ exchange }) => exchange.completedBy)
+      .map(({ exchange, terms, ...order }) => {
+        const completedBy = publicKeyOf(exchange.completedBy)
+
+        return {
+          ...order,
+          buyer: terms.isSelling ? completedBy : terms.initializer,
+          seller: terms.isSelling ? terms.initializer : completedBy,
+          completedAt: timestampOf(exchange.updatedAt),
+        }
+      })
+      .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0))
+
+    const [bestBid] = bids
+    const [bestAsk] = asks
+
+    return {
+      release: new anchor.web3.PublicKey(releasePublicKey).toBase58(),
+      paymentMint,
+      bids,
+      asks,
+      bestBid,
+      bestAsk,
+      spread: bestBid && bestAsk ? bestAsk.price - bestBid.price : undefined,
+      lastPrice: trades.length > 0 ? trades[0].price : undefined,
+      trades,
+    }
+  }
+
+  /**
+   * @function buyBest
+   * @description Buys an edition of a Release on the secondary market by accepting the cheapest open ask. Asks are
+   * checked on-chain first, so Exchanges accepted or cancelled since they were indexed are skipped, and when the
+   * cheapest ask is filled concurrently the next one is accepted instead.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Object} [options = {}] - { maxPrice } in UI units of the payment mint, along with transaction options, ie
+   * { computeBudget, commitment, onProgress, version }.
+   * @example const { exchangePublicKey, price } = await NinaClient.Exchange.buyBest("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ", { maxPrice: 10 });
+   * @returns {Object} { exchangePublicKey, txid, price, nativePrice } of the accepted Exchange.
+   */
+  async buyBest(releasePublicKey, options = {}) {
+    const { maxPrice, ...transactionOptions } = options
+
+    return this.acceptBest(
+      releasePublicKey,
+      'ask',
+      (price) => maxPrice === undefined || price <= maxPrice,
+      transactionOptions,
+    )
+  }
+
+  /**
+   * @function sellBest
+   * @description Sells an edition of a Release on the secondary market by accepting the highest open bid, skipping
+   * bids accepted or cancelled since they were indexed and falling back to the next bid when one is filled concurrently.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Object} [options = {}] - { minPrice } in UI units of the payment mint, along with transaction options, ie
+   * { computeBudget, commitment, onProgress, version }.
+   * @example const { exchangePublicKey, price } = await NinaClient.Exchange.sellBest("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ", { minPrice: 5 });
+   * @returns {Object} { exchangePublicKey, txid, price, nativePrice } of the accepted Exchange.
+   */
+  async sellBest(releasePublicKey, options = {}) {
+    const { minPrice, ...transactionOptions } = options
+
+    return this.acceptBest(
+      releasePublicKey,
+      'bid',
+      (price) => minPrice === undefined || price >= minPrice,
+      transactionOptions,
+    )
+  }
 
-      const exchange = anchor.web3.Keypair.generate()
+  async acceptBest(releasePublicKey, side, isAcceptable, options) {
+    try {
+      const isSelling = side === 'ask'
+      const book = await this.orderBook(releasePublicKey)
+      const orders = isSelling ? book.asks : book.bids
+      const wallet = this.provider.wallet.publicKey.toBase58()
+
+      const accounts = await this.program.account.exchange.fetchMultiple(
+        orders.map(({ publicKey }) => new anchor.web3.PublicKey(publicKey)),
+      )
 
-      const [exchangeSigner, bump] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [exchange.publicKey.toBuffer()],
-          this.program.programId,
+      const candidates = orders
+        .map((order, index) => ({ ...order, account: accounts[index] }))
+        .filter(
+          ({ account }) =>
+            account &&
+            account.isSelling === isSelling &&
+            account.initializer.toBase58() !== wallet,
         )
+        .map((order) => {
+          const nativePrice = (
+            isSelling
+              ? order.account.expectedAmount
+              : order.account.initializerAmount
+          ).toNumber()
+
+          return {
+            ...order,
+            nativePrice,
+            price: nativeToUi(nativePrice, book.paymentMint, this.cluster),
+          }
+        })
+        .filter(({ price }) => isAcceptable(price))
+        // best first: the cheapest ask or the highest bid
+        .sort((a, b) => (b.nativePrice - a.nativePrice) * (isSelling ? -1 : 1))
+
+      if (candidates.length === 0) {
+        throw new ValidationError(
+          `No open Exchange ${
+            isSelling ? 'sells' : 'buys'
+          } the Release at an acceptable price`,
+          { field: isSelling ? 'maxPrice' : 'minPrice' },
+        )
+      }
 
-      const [initializerSendingTokenAccount, initializerSendingTokenAccountIx] =
-        await findOrCreateAssociatedTokenAccount(
-          this.provider.connection,
-          this.provider.wallet.publicKey,
-          this.provider.wallet.publicKey,
-          anchor.web3.SystemProgram.programId,
-          anchor.web3.SYSVAR_RENT_PUBKEY,
-          initializerSendingMint,
+      let lastError
+      for await (const candidate of candidates) {
+        const { result, error, landed } = await this.attemptAccept(
+          candidate.publicKey,
+          isSelling,
+          candidate.account.expectedAmount,
+          releasePublicKey,
+          options,
         )
 
-      const [exchangeEscrowTokenAccount, exchangeEscrowTokenAccountIx] =
-        await findOrCreateAssociatedTokenAccount(
-          this.provider.connection,
-          this.provider.wallet.publicKey,
-          exchangeSigner,
-          anchor.web3.SystemProgram.programId,
-          anchor.web3.SYSVAR_RENT_PUBKEY,
-          initializerSendingMint,
+        if (!error) {
+          return {
+            ...result,
+            price: candidate.price,
+            nativePrice: candidate.nativePrice,
+          }
+        }
+
+        // the trade went through and only the steps after its confirmation failed, accepting another would buy twice
+        if (landed) {
+          throw error
+        }
+
+        // an Exchange that still exists failed for another reason than being filled first
+        const current = await this.program.account.exchange.fetchNullable(
+          new anchor.web3.PublicKey(candidate.publicKey),
         )
 
-      const [
-        initializerExpectedTokenAccount,
-        initializerExpectedTokenAccountIx,
-      ] = await findOrCreateAssociatedTokenAccount(
-        this.provider.connection,
-        this.provider.wallet.publicKey,
-        this.provider.wallet.publicKey,
-        anchor.web3.SystemProgram.programId,
-        anchor.web3.SYSVAR_RENT_PUBKEY,
-        initializerExpectedMint,
+        if (current) {
+          throw error
+        }
+
+        lastError = error
+      }
+
+      throw new ValidationError(
+        'Every matching Exchange was filled before it could be accepted',
+        { cause: lastError, field: 'exchangePublicKey' },
       )
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
 
-      const exchangeCreateIx =
-        await this.program.account.exchange.createInstruction(exchange)
+  // sends an accept, telling apart a transaction that failed from one that landed before a later step failed
+  async attemptAccept(
+    exchangePublicKey,
+    isSelling,
+    expectedAmount,
+    releasePublicKey,
+    options,
+  ) {
+    const state = { landed: false }
+    try {
+      const built = await this.buildExchangeAccept(
+        exchangePublicKey,
+        isSelling,
+        expectedAmount,
+        releasePublicKey,
+        options,
+      )
 
-      const accounts = {
-        initializer: this.provider.wallet.publicKey,
-        releaseMint,
-        initializerExpectedTokenAccount,
-        initializerSendingTokenAccount,
-        initializerExpectedMint,
-        initializerSendingMint,
-        exchangeEscrowTokenAccount,
-        exchangeSigner,
-        exchange: exchange.publicKey,
-        release,
-        systemProgram: anchor.web3.SystemProgram.programId,
-        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-        rent: anchor.web3.SYSVAR_RENT_PUBKEY,
+      if (built.error) {
+        return { error: built.error, landed: false }
       }
 
-      const signers = [exchange]
-      let instructions = [exchangeCreateIx, exchangeEscrowTokenAccountIx]
+      const result = await this.transactions.sendAndFinalize({
+        ...built,
+        finalize: (txid) => {
+          state.landed = true
 
-      if (initializerExpectedTokenAccountIx) {
-        instructions.push(initializerExpectedTokenAccountIx)
-      }
+          return built.finalize(txid)
+        },
+      })
 
-      if (initializerSendingTokenAccountIx) {
-        instructions.push(initializerSendingTokenAccountIx)
-      }
+      return { result, landed: true }
+    } catch (error) {
+      return { error, landed: state.landed }
+    }
+  }
 
-      if (isSol(releaseAccount.paymentMint) && !isSelling) {
-        const [wrappedSolAccount, wrappedSolInstructions] = await wrapSol(
-          this.provider,
-          initializerAmount,
-          new anchor.web3.PublicKey(NINA_CLIENT_IDS[this.cluster].mints.wsol),
-        )
+  /**
+   * @function quote
+   * @description Quotes a sale on the secondary market at a price in UI units, ie 1.5 for 1.5 USDC, from the seller's
+   * side: the Release's resale royalty is deducted from the price of every accepted Exchange, whether the seller
+   * initialized it or accepted a bid, and is split between the Release's revenue share recipients.
+   * Throws a ValidationError when the price is not positive or has more decimals than the payment mint of the Release.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Number} price - The price in UI units of the payment mint of the Release.
+   * @example const { royalty, proceeds, revenueShareRecipients } = await NinaClient.Exchange.quote(releasePublicKey, 10)
+   * @returns {Object} { paymentMint, decimals, price, nativePrice, resalePercentage, royalty, nativeRoyalty,
+   * revenueShareRecipients, proceeds, nativeProceeds } where resalePercentage is a percentage, ie 20, and
+   * revenueShareRecipients lists { recipientAuthority, percentShare, royalty, nativeRoyalty }.
+   */
+  async quote(releasePublicKey, price) {
+    try {
+      const release = await this.program.account.release.fetch(
+        new anchor.web3.PublicKey(releasePublicKey),
+      )
 
-        if (!instructions) {
-          instructions = [...wrappedSolInstructions]
-        } else {
-          instructions.push(...wrappedSolInstructions)
+      return this.quoteForRelease(release, price)
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  quoteForRelease(release, price, field = 'price') {
+    const { paymentMint } = release
+    const decimals = decimalsForMint(paymentMint, this.cluster)
+
+    if (decimals === undefined) {
+      throw new ValidationError(
+        `Unsupported payment mint ${paymentMint.toBase58()}`,
+        { field: 'paymentMint' },
+      )
+    }
+
+    if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+      throw new ValidationError(`The ${field} must be a positive number`, {
+        field,
+      })
+    }
+
+    if (Number(price.toFixed(decimals)) !== price) {
+      throw new ValidationError(
+        `The ${field} cannot have more than ${decimals} decimals`,
+        { field },
+      )
+    }
+
+    const nativePrice = uiToNative(price, paymentMint, this.cluster)
+
+    if (!Number.isSafeInteger(nativePrice)) {
+      throw new ValidationError(`The ${field} is too large`, { field })
+    }
+
+    const toUi = (amount) => nativeToUi(amount, paymentMint, this.cluster)
+    const nativeRoyalty = shareOf(nativePrice, release.resalePercentage)
+
+    const revenueShareRecipients = release.royaltyRecipients
+      .filter((recipient) => recipient.percentShare.gtn(0))
+      .map((recipient) => {
+        const recipientRoyalty = shareOf(nativeRoyalty, recipient.percentShare)
+
+        return {
+          recipientAuthority: recipient.recipientAuthority.toBase58(),
+          percentShare: percentageOf(recipient.percentShare),
+          royalty: toUi(recipientRoyalty),
+          nativeRoyalty: recipientRoyalty,
         }
+      })
+
+    return {
+      paymentMint: paymentMint.toBase58(),
+      decimals,
+      price,
+      nativePrice,
+      resalePercentage: percentageOf(release.resalePercentage),
+      royalty: toUi(nativeRoyalty),
+      nativeRoyalty,
+      revenueShareRecipients,
+      proceeds: toUi(nativePrice - nativeRoyalty),
+      nativeProceeds: nativePrice - nativeRoyalty,
+    }
+  }
 
-        accounts.initializerSendingTokenAccount = wrappedSolAccount
-      }
+  /**
+   * @function exchangeInit
+   * @description Initializes an Exchange account.
+   * @param {Number} amount - The price of the Exchange in UI units of the payment mint of the Release, ie 1.5 for 1.5 USDC.
+   * Throws a ValidationError when it is not positive or has more decimals than the payment mint.
+   * @param {Boolean} isSelling - A boolean determining whether the Exchange is selling or buying a Release on the secondary market.
+   * @param {String} releasePublicKey - The public key of the Release account.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example const { exchangePublicKey, quote } = await NinaClient.Exchange.exchangeInit(10, true, releasePublicKey)
+   * @returns {Object} { exchangePublicKey, exchange, quote } where quote is the `quote` of the price, and exchange is
+   * undefined when the Nina API could not be reached.
+   */
 
-      const config = {
-        expectedAmount,
-        initializerAmount,
+  async exchangeInit(amount, isSelling, releasePublicKey, options = {}) {
+    return this.transactions.submit(
+      await this.buildExchangeInit(
+        amount,
         isSelling,
-      }
+        releasePublicKey,
+        options,
+      ),
+    )
+  }
 
-      const tx = await this.program.methods
-        .exchangeInit(config, bump)
-        .accounts(accounts)
-        .preInstructions(instructions)
-        .signers(signers)
-        .transaction()
+  /**
+   * @function buildExchangeInit
+   * @description Builds the unsigned transaction of `exchangeInit`, to be signed elsewhere and sent with `Transactions.submit`.
+   * The transaction is already signed by the new Exchange account.
+   * @param {Number} amount - The price of the Exchange in UI units of the payment mint of the Release.
+   * @param {Boolean} isSelling - A boolean determining whether the Exchange is selling or buying a Release on the secondary market.
+   * @param {String} releasePublicKey - The public key of the Release account.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the exchange, exchangeSigner and exchangeEscrowTokenAccount.
+   */
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-      for await (const signer of signers) {
-        tx.partialSign(signer)
-      }
+  async buildExchangeInit(amount, isSelling, releasePublicKey, options = {}) {
+    try {
+      const { instructions, accounts, signers, quote } =
+        await this.initInstructions(amount, isSelling, releasePublicKey)
+
+      const tx = new anchor.web3.Transaction().add(...instructions)
+
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        signers,
+        finalize: async (txid) => {
+          this.expectExchange(accounts.exchange, txid)
+          await this.http.invalidate([
+            '/exchanges',
+            `/releases/${accounts.release.toBase58()}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+
+          const exchangeResult = await this.indexExchange(
+            accounts.exchange,
+            txid,
+            true,
+          )
+
+          return {
+            exchangePublicKey: accounts.exchange.toBase58(),
+            exchange: exchangeResult,
+            quote,
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  async initInstructions(amount, isSelling, releasePublicKey) {
+    let initializerSendingMint = null
+    let initializerExpectedMint = null
+    let expectedAmount = null
+    let initializerAmount = null
+    const release = new anchor.web3.PublicKey(releasePublicKey)
+    const releaseAccount = await this.program.account.release.fetch(release)
+    const { releaseMint } = releaseAccount
+    const quote = this.quoteForRelease(releaseAccount, amount, 'amount')
+
+    if (isSelling) {
+      expectedAmount = new anchor.BN(quote.nativePrice)
+      initializerSendingMint = releaseMint
+      initializerAmount = new anchor.BN(1)
+      initializerExpectedMint = releaseAccount.paymentMint
+    } else {
+      expectedAmount = new anchor.BN(1)
+      initializerSendingMint = releaseAccount.paymentMint
+      initializerAmount = new anchor.BN(quote.nativePrice)
+      initializerExpectedMint = releaseMint
+    }
+
+    const exchange = anchor.web3.Keypair.generate()
+    const [exchangeSigner, bump] = this.pda.exchangeSigner(exchange.publicKey)
 
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
+    const [initializerSendingTokenAccount, initializerSendingTokenAccountIx] =
+      await findOrCreateAssociatedTokenAccount(
         this.provider.connection,
+        this.provider.wallet.publicKey,
+        this.provider.wallet.publicKey,
+        anchor.web3.SystemProgram.programId,
+        anchor.web3.SYSVAR_RENT_PUBKEY,
+        initializerSendingMint,
       )
 
-      await this.provider.connection.getParsedTransaction(txid, 'confirmed')
-      const exchangeResult = await fetch(exchange.publicKey, true, txid)
+    const [exchangeEscrowTokenAccount, exchangeEscrowTokenAccountIx] =
+      await findOrCreateAssociatedTokenAccount(
+        this.provider.connection,
+        this.provider.wallet.publicKey,
+        exchangeSigner,
+        anchor.web3.SystemProgram.programId,
+        anchor.web3.SYSVAR_RENT_PUBKEY,
+        initializerSendingMint,
+      )
 
-      return {
-        exchange: exchangeResult,
-      }
-    } catch (error) {
-      console.error(error)
+    const [initializerExpectedTokenAccount, initializerExpectedTokenAccountIx] =
+      await findOrCreateAssociatedTokenAccount(
+        this.provider.connection,
+        this.provider.wallet.publicKey,
+        this.provider.wallet.publicKey,
+        anchor.web3.SystemProgram.programId,
+        anchor.web3.SYSVAR_RENT_PUBKEY,
+        initializerExpectedMint,
+      )
 
-      return {
-        error,
-      }
+    const exchangeCreateIx =
+      await this.program.account.exchange.createInstruction(exchange)
+
+    const accounts = {
+      initializer: this.provider.wallet.publicKey,
+      releaseMint,
+      initializerExpectedTokenAccount,
+      initializerSendingTokenAccount,
+      initializerExpectedMint,
+      initializerSendingMint,
+      exchangeEscrowTokenAccount,
+      exchangeSigner,
+      exchange: exchange.publicKey,
+      release,
+      systemProgram: anchor.web3.SystemProgram.programId,
+      tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+      rent: anchor.web3.SYSVAR_RENT_PUBKEY,
+    }
+
+    const instructions = [exchangeCreateIx, exchangeEscrowTokenAccountIx]
+
+    if (initializerExpectedTokenAccountIx) {
+      instructions.push(initializerExpectedTokenAccountIx)
+    }
+
+    if (initializerSendingTokenAccountIx) {
+      instructions.push(initializerSendingTokenAccountIx)
+    }
+
+    if (isSol(releaseAccount.paymentMint, this.cluster) && !isSelling) {
+      const [wrappedSolAccount, wrappedSolInstructions] = await wrapSol(
+        this.provider,
+        initializerAmount,
+        new anchor.web3.PublicKey(NINA_CLIENT_IDS[this.cluster].mints.wsol),
+        this.provider.wallet.publicKey,
+      )
+
+      instructions.push(...wrappedSolInstructions)
+      accounts.initializerSendingTokenAccount = wrappedSolAccount
+    }
+
+    const config = {
+      expectedAmount,
+      initializerAmount,
+      isSelling,
     }
+
+    instructions.push(
+      await this.program.methods
+        .exchangeInit(config, bump)
+        .accounts(accounts)
+        .instruction(),
+    )
+
+    return { instructions, accounts, signers: [exchange], quote }
   }
 
   /**
@@ -225,6 +723,7 @@ export default class Exchange {
    * @param {Boolean} isSelling - A boolean determining whether the Exchange is selling or buying a Release on the secondary market.
    * @param {Number} expectedAmount - The amount expected for the Exchange.
    * @param {String} releasePublicKey - The public key of the Release account.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @returns {Object} { exchangePublicKey: String?, error: Error?}
    * @example const {exchangePublicKey, error} = await exchangeAccept(client, exchangePublicKey, isSelling, expectedAmount, releasePublicKey);
    * @returns {String} the original Exchange public key.
@@ -235,6 +734,37 @@ export default class Exchange {
     isSelling,
     expectedAmount,
     releasePublicKey,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildExchangeAccept(
+        exchangePublicKey,
+        isSelling,
+        expectedAmount,
+        releasePublicKey,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildExchangeAccept
+   * @description Builds the unsigned transaction of `exchangeAccept`, to be signed elsewhere and sent with `Transactions.submit`.
+   * The transaction is already signed by the new Exchange History account.
+   * @param {String} exchangePublicKey  - The public key of the Exchange.
+   * @param {Boolean} isSelling - A boolean determining whether the Exchange is selling or buying a Release on the secondary market.
+   * @param {Number} expectedAmount - The amount expected for the Exchange.
+   * @param {String} releasePublicKey - The public key of the Release account.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the exchangeEscrowTokenAccount and exchangeHistory.
+   */
+
+  async buildExchangeAccept(
+    exchangePublicKey,
+    isSelling,
+    expectedAmount,
+    releasePublicKey,
+    options = {},
   ) {
     try {
       releasePublicKey = new anchor.web3.PublicKey(releasePublicKey)
@@ -316,11 +846,12 @@ export default class Exchange {
         instructions.push(initializerExpectedTokenAccountIx)
       }
 
-      if (isSol(release.paymentMint) && isSelling) {
+      if (isSol(release.paymentMint, this.cluster) && isSelling) {
         const [wrappedSolAccount, wrappedSolInstructions] = await wrapSol(
           this.provider,
           expectedAmount,
           release.paymentMint,
+          this.provider.wallet.publicKey,
         )
 
         instructions.push(...wrappedSolInstructions)
@@ -341,31 +872,30 @@ export default class Exchange {
         .signers([exchangeHistory])
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-      for await (const signer of [exchangeHistory]) {
-        tx.partialSign(signer)
-      }
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await this.provider.connection.getParsedTransaction(txid, 'finalized')
-      await fetch(exchangePublicKey.toBase58())
-
-      return {
-        exchangePublicKey: exchangePublicKey.toBase58(),
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment || 'finalized',
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        signers: [exchangeHistory],
+        finalize: async (txid) => {
+          await this.http.invalidate([
+            '/exchanges',
+            `/releases/${releasePublicKey.toBase58()}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+            `/accounts/${exchangeAccount.initializer.toBase58()}`,
+          ])
+          await this.indexExchange(exchangePublicKey, txid)
+
+          return {
+            exchangePublicKey: exchangePublicKey.toBase58(),
+          }
+        },
+      })
     } catch (error) {
-      console.error(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -373,11 +903,26 @@ export default class Exchange {
    * @function exchangeCancel
    * @description Cancels an initialized Exchange.
    * @param {String} exchangePublicKey - The public key of the Exchange.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @returns {Object} { exchangePublicKey: String?, error: Error?}
    * @example const {exchange, error} = await exchangeCancel(client, exchangeAccount);
    */
 
-  async exchangeCancel(exchangePublicKey) {
+  async exchangeCancel(exchangePublicKey, options = {}) {
+    return this.transactions.submit(
+      await this.buildExchangeCancel(exchangePublicKey, options),
+    )
+  }
+
+  /**
+   * @function buildExchangeCancel
+   * @description Builds the unsigned transaction of `exchangeCancel`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} exchangePublicKey - The public key of the Exchange.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the exchangeEscrowTokenAccount.
+   */
+
+  async buildExchangeCancel(exchangePublicKey, options = {}) {
     try {
       exchangePublicKey = new anchor.web3.PublicKey(exchangePublicKey)
 
@@ -385,80 +930,479 @@ export default class Exchange {
         exchangePublicKey,
       )
 
-      const [initializerReturnTokenAccount, initializerReturnTokenAccountIx] =
-        await findOrCreateAssociatedTokenAccount(
-          this.provider.connection,
-          this.provider.wallet.publicKey,
-          this.provider.wallet.publicKey,
-          anchor.web3.SystemProgram.programId,
-          anchor.web3.SYSVAR_RENT_PUBKEY,
-          exchange.initializerSendingMint,
+      const { tokenAccountInstruction, instruction, accounts } =
+        await this.cancelInstructions(exchangePublicKey, exchange)
+
+      const tx = new anchor.web3.Transaction().add(
+        ...[tokenAccountInstruction, instruction].filter(Boolean),
+      )
+
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          await this.http.invalidate([
+            '/exchanges',
+            `/releases/${exchange.release.toBase58()}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+          await this.indexExchange(exchangePublicKey, txid)
+
+          return {
+            exchangePublicKey: exchangePublicKey.toBase58(),
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  async cancelInstructions(exchangePublicKey, exchange) {
+    const [initializerReturnTokenAccount, tokenAccountInstruction] =
+      await findOrCreateAssociatedTokenAccount(
+        this.provider.connection,
+        this.provider.wallet.publicKey,
+        this.provider.wallet.publicKey,
+        anchor.web3.SystemProgram.programId,
+        anchor.web3.SYSVAR_RENT_PUBKEY,
+        exchange.initializerSendingMint,
+      )
+
+    const amount = exchange.isSelling
+      ? new anchor.BN(1)
+      : exchange.initializerAmount
+
+    const accounts = {
+      initializer: this.provider.wallet.publicKey,
+      initializerSendingTokenAccount: initializerReturnTokenAccount,
+      exchangeEscrowTokenAccount: exchange.exchangeEscrowTokenAccount,
+      exchangeSigner: exchange.exchangeSigner,
+      exchange: exchangePublicKey,
+      tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+    }
+
+    const method = isSol(exchange.initializerSendingMint, this.cluster)
+      ? this.program.methods.exchangeCancelSol(amount)
+      : this.program.methods.exchangeCancel(amount)
+
+    return {
+      tokenAccountInstruction,
+      instruction: await method.accounts(accounts).instruction(),
+      accounts,
+    }
+  }
+
+  // lets `waitUntilIndexed` tell a new Exchange was indexed
+  expectExchange(exchangePublicKey, txid) {
+    this.sync.expect(txid, {
+      path: `/exchanges/${exchangePublicKey.toBase58()}`,
+      contains: exchangePublicKey.toBase58(),
+    })
+  }
+
+  // fetching an Exchange with the transaction that opened or closed it lets the indexer record it, an indexer error
+  // does not fail the write that landed
+  async indexExchange(exchangePublicKey, txid, withAccountData = false) {
+    try {
+      return await this.fetch(
+        exchangePublicKey.toBase58(),
+        withAccountData,
+        txid,
+      )
+    } catch (error) {
+      console.warn('exchange indexing error: ', error)
+
+      return undefined
+    }
+  }
+
+  /**
+   * @function cancelAll
+   * @description Cancels the open Exchanges of the wallet, packing as many cancellations per transaction as fit and
+   * signing every transaction at once with `signAllTransactions`. Exchanges are checked on-chain first, so Exchanges
+   * accepted since they were indexed are left out, and a failed transaction only fails the cancellations it contains.
+   * @param {String} accountPublicKey - The public key of the wallet that initialized the Exchanges.
+   * @param {Object} [options = {}] - { releasePublicKey } to only cancel the Exchanges of a Release, and transaction
+   * options, ie { computeBudget, commitment, onProgress, version }.
+   * @example const { results } = await NinaClient.Exchange.cancelAll(wallet.publicKey.toBase58(), { releasePublicKey })
+   * @returns {Object} { results } with a { exchangePublicKey, releasePublicKey, success, status, txid, error, warning }
+   * per Exchange, where status is 'cancelled' or 'failed', and warning is set when a step after a confirmed
+   * cancellation failed.
+   */
+  async cancelAll(accountPublicKey, options = {}) {
+    const built = await this.buildCancelAll(accountPublicKey, options)
+
+    if (built.error) {
+      return built
+    }
+
+    let submitted = []
+
+    if (built.transactions.length > 0) {
+      submitted = await this.transactions.submitAll(built.transactions)
+    }
+
+    if (submitted.error) {
+      return submitted
+    }
+
+    return {
+      results: built.exchanges.map(({ transactionIndex, ...exchange }) => {
+        const { txid, result, error } = submitted[transactionIndex]
+
+        return {
+          ...exchange,
+          success: !error,
+          status: error ? 'failed' : 'cancelled',
+          txid,
+          error,
+          warning: result ? result.warning : undefined,
+        }
+      }),
+    }
+  }
+
+  /**
+   * @function buildCancelAll
+   * @description Builds the unsigned transactions of `cancelAll`, to be signed elsewhere and sent with
+   * `Transactions.submitAll`.
+   * @param {String} accountPublicKey - The public key of the wallet that initialized the Exchanges.
+   * @param {Object} [options = {}] - { releasePublicKey } and transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example const { transactions, exchanges } = await NinaClient.Exchange.buildCancelAll(wallet.publicKey.toBase58());
+   * @returns {Object} { transactions, exchanges } where exchanges lists { exchangePublicKey, releasePublicKey,
+   * transactionIndex }.
+   */
+  async buildCancelAll(accountPublicKey, options = {}) {
+    try {
+      const { releasePublicKey, ...txOptions } = options
+      const initializer = new anchor.web3.PublicKey(accountPublicKey)
+
+      if (!initializer.equals(this.provider.wallet.publicKey)) {
+        throw new ValidationError(
+          'Only the wallet that initialized Exchanges can cancel them',
+          { field: 'accountPublicKey' },
         )
+      }
 
-      let instructions
+      const indexed = []
+      for await (const exchange of paginate(
+        (pagination) =>
+          this.http.get(
+            `/accounts/${initializer.toBase58()}/exchanges`,
+            pagination,
+          ),
+        'exchanges',
+        { limit: 100 },
+      )) {
+        if (!exchange.cancelled && !exchange.completedBy) {
+          indexed.push(new anchor.web3.PublicKey(exchange.publicKey))
+        }
+      }
 
-      if (initializerReturnTokenAccountIx) {
-        instructions.push(initializerReturnTokenAccountIx)
+      const accounts = await this.program.account.exchange.fetchMultiple(
+        indexed,
+      )
+
+      const release = releasePublicKey
+        ? new anchor.web3.PublicKey(releasePublicKey)
+        : undefined
+
+      const open = indexed
+        .map((exchangePublicKey, index) => ({
+          exchangePublicKey,
+          exchange: accounts[index],
+        }))
+        .filter(
+          ({ exchange }) =>
+            exchange &&
+            exchange.initializer.equals(initializer) &&
+            (!release || exchange.release.equals(release)),
+        )
+
+      // a token account returning the tokens of several Exchanges is only created by the first of them
+      const created = {}
+      const items = []
+      for await (const { exchangePublicKey, exchange } of open) {
+        const {
+          tokenAccountInstruction,
+          instruction,
+          accounts: cancelAccounts,
+        } = await this.cancelInstructions(exchangePublicKey, exchange)
+
+        const tokenAccount =
+          cancelAccounts.initializerSendingTokenAccount.toBase58()
+
+        const instructions = [instruction]
+
+        if (tokenAccountInstruction && !created[tokenAccount]) {
+          created[tokenAccount] = true
+          instructions.unshift(tokenAccountInstruction)
+        }
+
+        items.push({ exchangePublicKey, exchange, instructions })
       }
 
-      let tx
-
-      const amount = exchange.isSelling
-        ? new anchor.BN(1)
-        : exchange.initializerAmount
-
-      if (isSol(exchange.initializerSendingMint, this.cluster)) {
-        tx = await this.program.methods
-          .exchangeCancelSol(amount)
-          .accounts({
-            initializer: this.provider.wallet.publicKey,
-            initializerSendingTokenAccount: initializerReturnTokenAccount,
-            exchangeEscrowTokenAccount: exchange.exchangeEscrowTokenAccount,
-            exchangeSigner: exchange.exchangeSigner,
-            exchange: exchangePublicKey,
-            tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-          })
-          .preInstructions(instructions || [])
-          .signers([])
-          .transaction()
-      } else {
-        tx = await this.program.methods
-          .exchangeCancel(amount)
-          .accounts({
-            initializer: this.provider.wallet.publicKey,
-            initializerSendingTokenAccount: initializerReturnTokenAccount,
-            exchangeEscrowTokenAccount: exchange.exchangeEscrowTokenAccount,
-            exchangeSigner: exchange.exchangeSigner,
-            exchange: exchangePublicKey,
-            tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-          })
-          .preInstructions(instructions || [])
-          .signers([])
-          .transaction()
+      const batchInstructions = (batch) =>
+        [].concat(...batch.map((item) => item.instructions))
+
+      const batches = []
+      let batch = []
+
+      items.forEach((item) => {
+        if (
+          batch.length === 0 ||
+          this.transactions.fits(batchInstructions(batch.concat(item)))
+        ) {
+          batch = batch.concat(item)
+        } else {
+          batches.push(batch)
+          batch = [item]
+        }
+      })
+
+      if (batch.length > 0) {
+        batches.push(batch)
       }
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
+      const transactions = []
+      for await (const [index, batchItems] of batches.entries()) {
+        const tx = new anchor.web3.Transaction().add(
+          ...batchInstructions(batchItems),
+        )
 
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
+        batchItems.forEach((item) => {
+          item.transactionIndex = index
+        })
+
+        transactions.push(
+          await this.transactions.build(tx, {
+            accounts: {
+              exchanges: batchItems.map(
+                ({ exchangePublicKey }) => exchangePublicKey,
+              ),
+            },
+            computeBudget: txOptions.computeBudget,
+            commitment: txOptions.commitment,
+            onProgress: txOptions.onProgress,
+            version: txOptions.version,
+            lookupTables: txOptions.lookupTables,
+            finalize: async (txid) => {
+              await this.http.invalidate(
+                _.uniq(
+                  batchItems.map(
+                    ({ exchange }) =>
+                      `/releases/${exchange.release.toBase58()}`,
+                  ),
+                ).concat('/exchanges', `/accounts/${initializer.toBase58()}`),
+              )
+
+              const exchangePublicKeys = batchItems.map(
+                ({ exchangePublicKey }) => exchangePublicKey,
+              )
+
+              await Promise.all(
+                exchangePublicKeys.map((exchangePublicKey) =>
+                  this.indexExchange(exchangePublicKey, txid),
+                ),
+              )
+
+              return {
+                exchangePublicKeys: exchangePublicKeys.map(
+                  (exchangePublicKey) => exchangePublicKey.toBase58(),
+                ),
+              }
+            },
+          }),
+        )
+      }
+
+      return {
+        transactions,
+        exchanges: items.map(
+          ({ exchangePublicKey, exchange, transactionIndex }) => ({
+            exchangePublicKey: exchangePublicKey.toBase58(),
+            releasePublicKey: exchange.release.toBase58(),
+            transactionIndex,
+          }),
+        ),
+      }
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  /**
+   * @function reprice
+   * @description Changes the price of an open Exchange of the wallet by cancelling it and initializing a new one on
+   * the same side of the same Release. The cancellation and the new Exchange are sent in a single transaction, so the
+   * Exchange is never left cancelled without its replacement. When they do not fit in one transaction, the Exchange is
+   * cancelled first and the new one is initialized once the cancellation is confirmed.
+   * @param {String} exchangePublicKey - The public key of the open Exchange.
+   * @param {Number} newAmount - The new price in UI units of the payment mint of the Release, validated as in `exchangeInit`.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example const { exchangePublicKey, quote } = await NinaClient.Exchange.reprice(exchangePublicKey, 12.5)
+   * @returns {Object} { exchangePublicKey, cancelledExchangePublicKey, exchange, quote, atomic, txid } where
+   * exchangePublicKey is the new Exchange and atomic tells whether a single transaction was sent. exchange is
+   * undefined when the Nina API could not be reached.
+   */
+  async reprice(exchangePublicKey, newAmount, options = {}) {
+    try {
+      const plan = await this.repriceInstructions(exchangePublicKey, newAmount)
+
+      if (plan.atomic) {
+        return await this.transactions.submit(
+          await this.buildRepriceTransaction(plan, options),
+        )
+      }
+
+      const cancelled = await this.transactions.submit(
+        await this.buildExchangeCancel(plan.exchangePublicKey, options),
       )
 
-      await this.provider.connection.getParsedTransaction(txid, 'confirmed')
-      await fetch(exchangePublicKey.toBase58())
+      if (cancelled.error) {
+        return cancelled
+      }
+
+      const initialized = await this.transactions.submit(
+        await this.buildExchangeInit(
+          newAmount,
+          plan.exchange.isSelling,
+          plan.exchange.release,
+          options,
+        ),
+      )
+
+      if (initialized.error) {
+        return initialized
+      }
 
       return {
-        exchangePublicKey: exchangePublicKey.toBase58(),
+        ...initialized,
+        cancelledExchangePublicKey: plan.exchangePublicKey.toBase58(),
+        cancelTxid: cancelled.txid,
+        atomic: false,
       }
     } catch (error) {
-      console.error(error)
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
 
-      return {
-        error,
+  /**
+   * @function buildReprice
+   * @description Builds the unsigned transaction of `reprice`, cancelling the Exchange and initializing its
+   * replacement, to be signed elsewhere and sent with `Transactions.submit`. Throws a ValidationError when they do not
+   * fit in a single transaction, in which case `buildExchangeCancel` and `buildExchangeInit` can be used in turn.
+   * @param {String} exchangePublicKey - The public key of the open Exchange.
+   * @param {Number} newAmount - The new price in UI units of the payment mint of the Release.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the new exchange and the
+   * cancelledExchange.
+   */
+  async buildReprice(exchangePublicKey, newAmount, options = {}) {
+    try {
+      const plan = await this.repriceInstructions(exchangePublicKey, newAmount)
+
+      if (!plan.atomic) {
+        throw new ValidationError(
+          'The Exchange cannot be repriced in a single transaction',
+          { field: 'exchangePublicKey' },
+        )
       }
+
+      return await this.buildRepriceTransaction(plan, options)
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
+
+  async repriceInstructions(exchangePublicKey, newAmount) {
+    exchangePublicKey = new anchor.web3.PublicKey(exchangePublicKey)
+
+    const exchange = await this.program.account.exchange.fetch(
+      exchangePublicKey,
+    )
+
+    if (!exchange.initializer.equals(this.provider.wallet.publicKey)) {
+      throw new ValidationError(
+        'Only the wallet that initialized an Exchange can reprice it',
+        { field: 'exchangePublicKey' },
+      )
+    }
+
+    const cancel = await this.cancelInstructions(exchangePublicKey, exchange)
+
+    const init = await this.initInstructions(
+      newAmount,
+      exchange.isSelling,
+      exchange.release,
+    )
+
+    // both sides use the wallet's token account of the sending mint, which is only created once
+    const instructions = _.uniqBy(
+      [
+        cancel.tokenAccountInstruction,
+        cancel.instruction,
+        ...init.instructions,
+      ].filter(Boolean),
+      tokenAccountCreatedBy,
+    )
+
+    return {
+      exchangePublicKey,
+      exchange,
+      init,
+      instructions,
+      atomic: this.transactions.fits(instructions),
+    }
+  }
+
+  async buildRepriceTransaction(
+    { exchangePublicKey, exchange, init, instructions },
+    options,
+  ) {
+    const accounts = {
+      ...init.accounts,
+      cancelledExchange: exchangePublicKey,
+    }
+
+    const tx = new anchor.web3.Transaction().add(...instructions)
+
+    return this.transactions.build(tx, {
+      accounts,
+      computeBudget: options.computeBudget,
+      commitment: options.commitment,
+      onProgress: options.onProgress,
+      version: options.version,
+      lookupTables: options.lookupTables,
+      signers: init.signers,
+      finalize: async (txid) => {
+        this.expectExchange(init.accounts.exchange, txid)
+        await this.http.invalidate([
+          '/exchanges',
+          `/releases/${exchange.release.toBase58()}`,
+          `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+        ])
+        await this.indexExchange(exchangePublicKey, txid)
+
+        const newExchange = await this.indexExchange(
+          init.accounts.exchange,
+          txid,
+          true,
+        )
+
+        return {
+          exchangePublicKey: init.accounts.exchange.toBase58(),
+          cancelledExchangePublicKey: exchangePublicKey.toBase58(),
+          exchange: newExchange,
+          quote: init.quote,
+          atomic: true,
+        }
+      },
+    })
+  }
 }
@@ -1,10 +1,13 @@
 import * as anchor from '@project-serum/anchor'
-import axios from 'axios'
 import MD5 from 'crypto-js/md5'
+import Promise from 'promise'
+import { ValidationError, handleError } from '../errors'
+import Formatter from '../formatter'
+import { paginate } from '../paginate'
 import {
   NINA_CLIENT_IDS,
+  findAssociatedTokenAddress,
   findOrCreateAssociatedTokenAccount,
-  getConfirmTransaction,
   uiToNative,
 } from '../utils'
 
@@ -12,12 +15,74 @@ import {
  * @module Hub
  */
 
+// an allowance of -1 lets a collaborator add content and collaborators without limit
+const UNLIMITED_ALLOWANCE = -1
+
+/**
+ * The roles collaborators can be given with `hubAddCollaboratorWithRole` and `hubUpdateCollaboratorRole`, mapped to
+ * the permissions of their HubCollaborator account. Editors can add content and collaborators, contributors can
+ * only add content.
+ */
+export const HUB_ROLES = {
+  editor: {
+    canAddContent: true,
+    canAddCollaborator: true,
+    allowance: UNLIMITED_ALLOWANCE,
+  },
+  contributor: {
+    canAddContent: true,
+    canAddCollaborator: false,
+    allowance: UNLIMITED_ALLOWANCE,
+  },
+}
+
+// the permissions each action requires, actions reserved to the authority of a Hub require none
+const HUB_ACTIONS = {
+  addContent: 'canAddContent',
+  addCollaborator: 'canAddCollaborator',
+  updateCollaborator: 'canAddCollaborator',
+  updateConfig: undefined,
+  withdraw: undefined,
+  createLookupTable: undefined,
+}
+
+const roleFor = (isAuthority, hubCollaborator) => {
+  if (isAuthority) {
+    return 'authority'
+  }
+
+  if (hubCollaborator && hubCollaborator.canAddCollaborator) {
+    return 'editor'
+  }
+
+  if (hubCollaborator && hubCollaborator.canAddContent) {
+    return 'contributor'
+  }
+
+  return 'none'
+}
+
 export default class Hub {
-  constructor({ http, program, provider, cluster }) {
+  constructor({
+    http,
+    program,
+    pda,
+    provider,
+    watcher,
+    transactions,
+    sync,
+    cluster,
+    legacyErrors,
+  }) {
     this.http = http
     this.program = program
+    this.pda = pda
+    this.watcher = watcher
+    this.transactions = transactions
+    this.sync = sync
     this.provider = provider
     this.cluster = cluster
+    this.legacyErrors = legacyErrors
   }
 
   /**
@@ -43,6 +108,22 @@ export default class Hub {
     )
   }
 
+  /**
+   * @function iterateAll
+   * @description Iterates over all of the Hubs on Nina, fetching pages as they are consumed.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Hub accounts.
+   * @example for await (const hub of NinaClient.Hub.iterateAll()) {}
+   * @returns {AsyncIterator} an async iterator of all of the Hubs on Nina.
+   */
+  iterateAll(options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchAll(pagination, withAccountData),
+      'hubs',
+      options,
+    )
+  }
+
   /**
    * @function fetch
    * @description Fetches a Hub along with its Releases, Collaborators, and Posts.
@@ -53,10 +134,37 @@ export default class Hub {
    */
 
   async fetch(publicKeyOrHandle, withAccountData = false) {
-    return this.http.get(
-      `/hubs/${publicKeyOrHandle}`,
-      withAccountData,
+    return this.http.get(`/hubs/${publicKeyOrHandle}`, withAccountData)
+  }
+
+  // the on-chain Hub account with its handle decoded, so transactions are built without the indexer
+  async fetchHubAccount(hubPublicKey) {
+    const hub = await this.program.account.hub.fetch(
+      new anchor.web3.PublicKey(hubPublicKey),
     )
+
+    return Formatter.parseHubAccountData(hub)
+  }
+
+  /**
+   * @function watch
+   * @description Calls `callback` with the parsed on-chain Hub account whenever it changes.
+   * @param {String} publicKey - The public key of the Hub account.
+   * @param {Function} callback - Called with (hub, context).
+   * @param {Object} [options = {}] - Watch options: mode ('websocket' or 'polling'), pollInterval, onError.
+   * @example const { unsubscribe } = NinaClient.Hub.watch('4xHeZW8BK8HeCinoDLsGiGwtYsjQ9zBb71m5vdDa5ceS', (hub) => {});
+   * @returns {Object} { unsubscribe }
+   */
+  watch(publicKey, callback, options = {}) {
+    return this.watcher.watchAccount(publicKey, 'hub', callback, {
+      ...options,
+      parse: (hub) => {
+        const parsedHub = Formatter.parseHubAccountData(hub)
+        parsedHub.publicKey = publicKey.toString()
+
+        return parsedHub
+      },
+    })
   }
 
   /**
@@ -69,10 +177,26 @@ export default class Hub {
    * @returns {Array} an array of all of the Collaborators that belong to a Hub.
    */
 
-  async fetchCollaborators(publicKeyOrHandle) {
+  async fetchCollaborators(publicKeyOrHandle, pagination = {}) {
     return this.http.get(`/hubs/${publicKeyOrHandle}/collaborators`, pagination)
   }
 
+  /**
+   * @function iterateCollaborators
+   * @description Iterates over the Collaborators of a Hub.
+   * @param {String} publicKeyOrHandle - The public key or handle of the Hub account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @example for await (const collaborator of NinaClient.Hub.iterateCollaborators('ninas-picks')) {}
+   * @returns {AsyncIterator} an async iterator of the Collaborators that belong to a Hub.
+   */
+  iterateCollaborators(publicKeyOrHandle, options = {}) {
+    return paginate(
+      (pagination) => this.fetchCollaborators(publicKeyOrHandle, pagination),
+      'collaborators',
+      options,
+    )
+  }
+
   /**
    * @function fetchCollaborator
    * @description Fetches a Collaborator by Publickey.
@@ -86,10 +210,94 @@ export default class Hub {
     //TODO:  endpoint needs to be uodated, currently retrurns {success: true}
     return this.http.get(
       `/hubs/${publicKeyOrHandle}/collaborators/${collaboratorPubkey}`,
-      pagination
+      pagination,
     )
   }
 
+  /**
+   * @function getPermissions
+   * @description Tells what a wallet can do on a Hub, from the Hub and HubCollaborator accounts on-chain. The role is
+   * 'authority' for the authority of the Hub, 'editor' for collaborators who can add collaborators, 'contributor' for
+   * collaborators who can only add content and 'none' otherwise.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} wallet - The public key of the wallet.
+   * @example
+   * const permissions = await NinaClient.Hub.getPermissions(hubPublicKey, wallet.publicKey.toBase58())
+   * if (permissions.can('addContent')) {}
+   * @returns {Object} { hubPublicKey, wallet, role, isCollaborator, canAddContent, canAddCollaborator, allowance,
+   * remainingAllowance, can } where remainingAllowance is Infinity for an unlimited allowance, and can(action) checks
+   * 'addContent', 'addCollaborator', 'updateCollaborator', 'updateConfig', 'withdraw' or 'createLookupTable'.
+   */
+  async getPermissions(hubPublicKey, wallet) {
+    try {
+      hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
+      wallet = new anchor.web3.PublicKey(wallet)
+
+      const [hubCollaboratorPublicKey] = this.pda.hubCollaborator(
+        hubPublicKey,
+        wallet,
+      )
+
+      const [hub, hubCollaborator] = await Promise.all([
+        this.program.account.hub.fetch(hubPublicKey),
+        this.program.account.hubCollaborator.fetchNullable(
+          hubCollaboratorPublicKey,
+        ),
+      ])
+
+      const isAuthority = hub.authority.equals(wallet)
+      const role = roleFor(isAuthority, hubCollaborator)
+
+      const permissions = {
+        canAddContent:
+          isAuthority ||
+          Boolean(hubCollaborator && hubCollaborator.canAddContent),
+        canAddCollaborator:
+          isAuthority ||
+          Boolean(hubCollaborator && hubCollaborator.canAddCollaborator),
+      }
+
+      let allowance = 0
+
+      if (isAuthority) {
+        allowance = UNLIMITED_ALLOWANCE
+      } else if (hubCollaborator) {
+        allowance = hubCollaborator.allowance
+      }
+
+      const remainingAllowance =
+        allowance === UNLIMITED_ALLOWANCE ? Infinity : Math.max(allowance, 0)
+
+      const can = (action) => {
+        if (!Object.keys(HUB_ACTIONS).includes(action)) {
+          throw new ValidationError(
+            `Action must be one of ${Object.keys(HUB_ACTIONS).join(', ')}`,
+            { field: 'action' },
+          )
+        }
+
+        if (!HUB_ACTIONS[action]) {
+          return isAuthority
+        }
+
+        return permissions[HUB_ACTIONS[action]] && remainingAllowance > 0
+      }
+
+      return {
+        hubPublicKey: hubPublicKey.toBase58(),
+        wallet: wallet.toBase58(),
+        role,
+        isCollaborator: Boolean(hubCollaborator),
+        ...permissions,
+        allowance,
+        remainingAllowance,
+        can,
+      }
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
   /**
    * @function fetchReleases
    * @description Fetches Releases for a Hub.
@@ -100,7 +308,11 @@ export default class Hub {
    * @returns {Array} an array of all of the Releases that belong to a Hub.
    */
 
-  async fetchReleases(publicKeyOrHandle, pagination = {}, withAccountData = false) {
+  async fetchReleases(
+    publicKeyOrHandle,
+    pagination = {},
+    withAccountData = false,
+  ) {
     return this.http.get(
       `/hubs/${publicKeyOrHandle}/releases`,
       pagination,
@@ -108,6 +320,24 @@ export default class Hub {
     )
   }
 
+  /**
+   * @function iterateReleases
+   * @description Iterates over the Releases of a Hub.
+   * @param {String} publicKeyOrHandle - The public key or handle of the Hub account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain HubRelease, HubContent, and Release accounts.
+   * @example for await (const release of NinaClient.Hub.iterateReleases('ninas-picks')) {}
+   * @returns {AsyncIterator} an async iterator of the Releases that belong to a Hub.
+   */
+  iterateReleases(publicKeyOrHandle, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchReleases(publicKeyOrHandle, pagination, withAccountData),
+      'releases',
+      options,
+    )
+  }
+
   /**
    * @function fetchPosts
    * @description Fetches Posts for a hub.
@@ -118,7 +348,11 @@ export default class Hub {
    * @returns {Array} an array of all of the Posts that belong to a Hub.
    */
 
-  async fetchPosts(publicKeyOrHandle, pagination = {}, withAccountData = false) {
+  async fetchPosts(
+    publicKeyOrHandle,
+    pagination = {},
+    withAccountData = false,
+  ) {
     return this.http.get(
       `/hubs/${publicKeyOrHandle}/posts`,
       pagination,
@@ -126,6 +360,24 @@ export default class Hub {
     )
   }
 
+  /**
+   * @function iteratePosts
+   * @description Iterates over the Posts of a Hub.
+   * @param {String} publicKeyOrHandle - The public key or handle of the Hub account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain HubPost, HubContent, and Post accounts.
+   * @example for await (const post of NinaClient.Hub.iteratePosts('ninas-picks')) {}
+   * @returns {AsyncIterator} an async iterator of the Posts that belong to a Hub.
+   */
+  iteratePosts(publicKeyOrHandle, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchPosts(publicKeyOrHandle, pagination, withAccountData),
+      'posts',
+      options,
+    )
+  }
+
   /**
    * @function fetchHubRelease
    * @description Fetches a Release for a Hub.
@@ -181,7 +433,11 @@ export default class Hub {
    * @returns {Array} an array of all of the Subscriptions that belong to a Hub.
    */
 
-  async fetchSubscriptions(publicKeyOrHandle, pagination = {}, withAccountData = false) {
+  async fetchSubscriptions(
+    publicKeyOrHandle,
+    pagination = {},
+    withAccountData = false,
+  ) {
     return this.http.get(
       `/hubs/${publicKeyOrHandle}/subscriptions`,
       pagination,
@@ -189,6 +445,28 @@ export default class Hub {
     )
   }
 
+  /**
+   * @function iterateSubscriptions
+   * @description Iterates over the Subscriptions of a Hub.
+   * @param {String} publicKeyOrHandle - The public key or handle of the Hub account.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Subscription accounts.
+   * @example for await (const subscription of NinaClient.Hub.iterateSubscriptions('ninas-picks')) {}
+   * @returns {AsyncIterator} an async iterator of the Subscriptions that belong to a Hub.
+   */
+  iterateSubscriptions(
+    publicKeyOrHandle,
+    options = {},
+    withAccountData = false,
+  ) {
+    return paginate(
+      (pagination) =>
+        this.fetchSubscriptions(publicKeyOrHandle, pagination, withAccountData),
+      'subscriptions',
+      options,
+    )
+  }
+
   /**
    * @function hubInit
    * @description Initializes a Hub account with Hub Credit.
@@ -196,39 +474,38 @@ export default class Hub {
    * @param {Number} publishFee - The fee to publish a Release or Post on a Hub
    * @param {Number} referralFee - The percentage of the publish fee that goes to the referrer
    * @param {Number} hubSignerBump - The bump seed for the Hub Signer.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const hub = await NinaClient.Hub.hubInit({})
    * @returns {Object} The created Hub account.
    */
 
-  async hubInit(handle, publishFee, referralFee) {
+  async hubInit(handle, publishFee, referralFee, options = {}) {
+    return this.transactions.submit(
+      await this.buildHubInit(handle, publishFee, referralFee, options),
+    )
+  }
+
+  /**
+   * @function buildHubInit
+   * @description Builds the unsigned transaction of `hubInit`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} handle - The handle of the Hub.
+   * @param {Number} publishFee - The fee to publish a Release or Post on a Hub
+   * @param {Number} referralFee - The percentage of the publish fee that goes to the referrer
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hub, hubSigner and hubCollaborator.
+   */
+
+  async buildHubInit(handle, publishFee, referralFee, options = {}) {
     try {
       publishFee = new anchor.BN(publishFee * 10000)
       referralFee = new anchor.BN(referralFee * 10000)
 
-      const [hub] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub')),
-          Buffer.from(anchor.utils.bytes.utf8.encode(handle)),
-        ],
-        this.program.programId,
-      )
-
-      const [hubSigner, hubSignerBump] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-signer')),
-            hub.toBuffer(),
-          ],
-          this.program.programId,
-        )
+      const [hub] = this.pda.hub(handle)
+      const [hubSigner, hubSignerBump] = this.pda.hubSigner(hub)
 
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hub.toBuffer(),
-          this.provider.wallet.publicKey.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hub,
+        this.provider.wallet.publicKey,
       )
 
       const [, usdcVaultIx] = await findOrCreateAssociatedTokenAccount(
@@ -249,6 +526,16 @@ export default class Hub {
         new anchor.web3.PublicKey(NINA_CLIENT_IDS[this.cluster].mints.wsol),
       )
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        hub,
+        hubSigner,
+        hubCollaborator,
+        systemProgram: anchor.web3.SystemProgram.programId,
+        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+        rent: anchor.web3.SYSVAR_RENT_PUBKEY,
+      }
+
       //add IX for create
       const tx = await this.program.methods
         .hubInit({
@@ -257,40 +544,35 @@ export default class Hub {
           handle,
           hubSignerBump,
         })
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          hub,
-          hubSigner,
-          hubCollaborator,
-          systemProgram: anchor.web3.SystemProgram.programId,
-          tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-          rent: anchor.web3.SYSVAR_RENT_PUBKEY,
-        })
+        .accounts(accounts)
         .preInstructions([usdcVaultIx, wrappedSolVaultIx])
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      const createdHub = await fetch(hub.toBase58())
-
-      return {
-        createdHub,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          this.sync.expect(txid, {
+            path: `/hubs/${hub.toBase58()}`,
+            contains: hub.toBase58(),
+          })
+          await this.http.invalidate([
+            '/hubs',
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+          const createdHub = await this.fetch(hub.toBase58())
+
+          return {
+            createdHub,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -301,15 +583,56 @@ export default class Hub {
    * @param {String} uri - The URI of the Hubs updated metadata.
    * @param {Number} publishFee - The fee to publish a Release or Post on a Hub
    * @param {Number} referralFee - The percentage of the publish fee that goes to the referrer
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const hub = await NinaClient.Hub.hubUpdateConfig(hubPublicKey, 'https://nina.com', 0.1, 0.1, wallet, connection);
    * @returns {Object} The updated Hub account.
    */
 
-  async hubUpdateConfig(hubPublicKey, uri, publishFee, referralFee) {
+  async hubUpdateConfig(
+    hubPublicKey,
+    uri,
+    publishFee,
+    referralFee,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildHubUpdateConfig(
+        hubPublicKey,
+        uri,
+        publishFee,
+        referralFee,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildHubUpdateConfig
+   * @description Builds the unsigned transaction of `hubUpdateConfig`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} uri - The URI of the Hubs updated metadata.
+   * @param {Number} publishFee - The fee to publish a Release or Post on a Hub
+   * @param {Number} referralFee - The percentage of the publish fee that goes to the referrer
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize }
+   */
+
+  async buildHubUpdateConfig(
+    hubPublicKey,
+    uri,
+    publishFee,
+    referralFee,
+    options = {},
+  ) {
     try {
-      const { hub } = await fetch(hubPublicKey)
+      const hub = await this.fetchHubAccount(hubPublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        hub: hubPublicKey,
+      }
+
       const tx = await this.program.methods
         .hubUpdateConfig(
           uri,
@@ -317,37 +640,43 @@ export default class Hub {
           new anchor.BN(publishFee * 10000),
           new anchor.BN(referralFee * 10000),
         )
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          hub: hubPublicKey,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      await axios.get(
-        `${this.http.endpoint}/hubs/${hubPublicKey.toBase58()}/tx/${txid}`,
-      )
-      const updatedHub = await fetch(hubPublicKey)
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          const paths = [
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+          ]
+
+          await this.http.invalidate(paths)
+          await this.sync.notify(
+            txid,
+            `/hubs/${hubPublicKey.toBase58()}/tx/${txid}`,
+            {
+              check: {
+                path: `/hubs/${hubPublicKey.toBase58()}`,
+                contains: uri,
+              },
+              invalidate: paths,
+            },
+          )
+          const updatedHub = await this.fetch(hubPublicKey.toBase58())
 
-      return {
-        updatedHub,
-      }
+          return {
+            updatedHub,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -359,6 +688,7 @@ export default class Hub {
    * @param {Boolean} canAddContent - Boolean indicating if the collaborator can add content to the Hub.
    * @param {Boolean} canAddCollaborator - Boolean indicating if the collaborator can add collaborators to the Hub.
    * @param {Integer} allowance - Integer indicating the amount of Hub actions the collaborator can execute (-1 for unlimited).
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await NinaClient.Hub.hubAddCollaborator(ninaClient, hubPublicKey, collaboratorPubkey, true, true, 10);
    * @returns {Object} the added collaborator of a Hub.
    */
@@ -369,32 +699,64 @@ export default class Hub {
     canAddContent,
     canAddCollaborator,
     allowance,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildHubAddCollaborator(
+        hubPublicKey,
+        collaboratorPubkey,
+        canAddContent,
+        canAddCollaborator,
+        allowance,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildHubAddCollaborator
+   * @description Builds the unsigned transaction of `hubAddCollaborator`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {Boolean} canAddContent - Boolean indicating if the collaborator can add content to the Hub.
+   * @param {Boolean} canAddCollaborator - Boolean indicating if the collaborator can add collaborators to the Hub.
+   * @param {Integer} allowance - Integer indicating the amount of Hub actions the collaborator can execute (-1 for unlimited).
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubCollaborator.
+   */
+
+  async buildHubAddCollaborator(
+    hubPublicKey,
+    collaboratorPubkey,
+    canAddContent,
+    canAddCollaborator,
+    allowance,
+    options = {},
   ) {
     try {
-      const { hub } = await fetch(hubPublicKey)
+      const hub = await this.fetchHubAccount(hubPublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
       collaboratorPubkey = new anchor.web3.PublicKey(collaboratorPubkey)
 
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hubPublicKey.toBuffer(),
-          collaboratorPubkey.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        collaboratorPubkey,
       )
 
-      const [authorityHubCollaborator] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(
-              anchor.utils.bytes.utf8.encode('nina-hub-collaborator'),
-            ),
-            hubPublicKey.toBuffer(),
-            this.provider.wallet.publicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
+      const [authorityHubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        this.provider.wallet.publicKey,
+      )
+
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        authorityHubCollaborator,
+        hub: hubPublicKey,
+        hubCollaborator,
+        collaborator: collaboratorPubkey,
+        systemProgram: anchor.web3.SystemProgram.programId,
+        rent: anchor.web3.SYSVAR_RENT_PUBKEY,
+      }
 
       const tx = await this.program.methods
         .hubAddCollaborator(
@@ -403,45 +765,45 @@ export default class Hub {
           allowance,
           hub.handle,
         )
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          authorityHubCollaborator,
-          hub: hubPublicKey,
-          hubCollaborator,
-          collaborator: collaboratorPubkey,
-          systemProgram: anchor.web3.SystemProgram.programId,
-          rent: anchor.web3.SYSVAR_RENT_PUBKEY,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      await axios.get(
-        `${this.http.endpoint}/hubs/${
-          hub.handle
-        }/collaborators/${hubCollaborator.toBase58()}`,
-      )
-
-      // endpoint needs to be updated to return collaborator
-      return {
-        collaboratorPublicKey: collaboratorPubkey.toBase58(),
-        hubPublicKey: hubPublicKey.toBase58(),
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          const paths = [
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+            `/accounts/${collaboratorPubkey.toBase58()}`,
+          ]
+
+          const collaboratorPath = `/hubs/${
+            hub.handle
+          }/collaborators/${hubCollaborator.toBase58()}`
+
+          await this.http.invalidate(paths)
+          await this.sync.notify(txid, collaboratorPath, {
+            check: {
+              path: collaboratorPath,
+              contains: collaboratorPubkey.toBase58(),
+            },
+            invalidate: paths,
+          })
+
+          // endpoint needs to be updated to return collaborator
+          return {
+            collaboratorPublicKey: collaboratorPubkey.toBase58(),
+            hubPublicKey: hubPublicKey.toBase58(),
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -453,6 +815,7 @@ export default class Hub {
    * @param {Boolean} canAddContent - Boolean indicating if the collaborator can add content to the Hub.
    * @param {Boolean} canAddCollaborator - Boolean indicating if the collaborator can add collaborators to the Hub.
    * @param {Integer} allowance - Integer indicating the amount of Hub actions the collaborator can execute (-1 for unlimited).
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const hub = await NinaClient.Hub.hubUpdateCollaboratorPermission(ninaClient, hubPublicKey, collaboratorPubkey, true, true, 10);
    * @returns {Object} the updated account of a collaborator of a Hub.
    */
@@ -463,32 +826,62 @@ export default class Hub {
     canAddContent,
     canAddCollaborator,
     allowance,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildHubUpdateCollaboratorPermission(
+        hubPublicKey,
+        collaboratorPubkey,
+        canAddContent,
+        canAddCollaborator,
+        allowance,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildHubUpdateCollaboratorPermission
+   * @description Builds the unsigned transaction of `hubUpdateCollaboratorPermission`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {Boolean} canAddContent - Boolean indicating if the collaborator can add content to the Hub.
+   * @param {Boolean} canAddCollaborator - Boolean indicating if the collaborator can add collaborators to the Hub.
+   * @param {Integer} allowance - Integer indicating the amount of Hub actions the collaborator can execute (-1 for unlimited).
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubCollaborator.
+   */
+
+  async buildHubUpdateCollaboratorPermission(
+    hubPublicKey,
+    collaboratorPubkey,
+    canAddContent,
+    canAddCollaborator,
+    allowance,
+    options = {},
   ) {
     try {
-      const { hub } = await fetch(hubPublicKey)
+      const hub = await this.fetchHubAccount(hubPublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
       collaboratorPubkey = new anchor.web3.PublicKey(collaboratorPubkey)
 
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hubPublicKey.toBuffer(),
-          collaboratorPubkey.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        collaboratorPubkey,
       )
 
-      const [authorityHubCollaborator] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(
-              anchor.utils.bytes.utf8.encode('nina-hub-collaborator'),
-            ),
-            hubPublicKey.toBuffer(),
-            this.provider.wallet.publicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
+      const [authorityHubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        this.provider.wallet.publicKey,
+      )
+
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        authorityHubCollaborator,
+        hub: hubPublicKey,
+        hubCollaborator,
+        collaborator: collaboratorPubkey,
+      }
 
       const tx = await this.program.methods
         .hubUpdateCollaboratorPermissions(
@@ -497,111 +890,277 @@ export default class Hub {
           allowance,
           hub.handle,
         )
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          authorityHubCollaborator,
-          hub: hubPublicKey,
-          hubCollaborator,
-          collaborator: collaboratorPubkey,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await axios.get(
-        `${this.http.endpoint}/hubs/${
-          hub.handle
-        }/collaborators/${hubCollaborator.toBase58()}`,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          const paths = [
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+            `/accounts/${collaboratorPubkey.toBase58()}`,
+          ]
+
+          await this.sync.notify(
+            txid,
+            `/hubs/${hub.handle}/collaborators/${hubCollaborator.toBase58()}`,
+            { invalidate: paths },
+          )
+          await this.http.invalidate(paths)
 
-      // endpoint needs to be updated to return collaborator
-      return {
-        collaboratorPublicKey: collaboratorPubkey.toBase58(),
-        hubPublicKey: hubPublicKey.toBase58(),
-      }
+          // endpoint needs to be updated to return collaborator
+          return {
+            collaboratorPublicKey: collaboratorPubkey.toBase58(),
+            hubPublicKey: hubPublicKey.toBase58(),
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
   /**
-   * @function hubRemoveCollaborator
-   * @description Removes a collaborator from a Hub.
-   * @param {String} hubPublicKey - The public key of the Hub removing the collaborator.
+   * @function hubAddCollaboratorWithRole
+   * @description Adds a collaborator to a Hub with the permissions of a role.
+   * @param {String} hubPublicKey - The public key of the Hub account.
    * @param {String} collaboratorPubkey - The public key of the collaborator account.
-   * @example await NinaClient.Hub.hubRemoveCollaborator(ninaClient,"DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW","8sFiVz6kemckYUKRr9CRLuM8Pvkq4Lpvkx2mH3jPgGRX");
-   * @returns {Object} the account of the removed collaborator from the Hub.
+   * @param {String} role - 'editor' or 'contributor', see `HUB_ROLES`.
+   * @param {Object} [options = {}] - { allowance } to limit the Hub actions of the collaborator, and transaction
+   * options, ie { computeBudget, commitment, onProgress, version }.
+   * @example await NinaClient.Hub.hubAddCollaboratorWithRole(hubPublicKey, collaboratorPubkey, 'contributor', { allowance: 10 });
+   * @returns {Object} the added collaborator of a Hub.
    */
 
-  async hubRemoveCollaborator(hubPublicKey, collaboratorPubkey) {
-    try {
-      const { hub } = await fetch(hubPublicKey)
-      hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
-
-      collaboratorPubkey = new anchor.web3.PublicKey(collaboratorPubkey)
+  async hubAddCollaboratorWithRole(
+    hubPublicKey,
+    collaboratorPubkey,
+    role,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildHubAddCollaboratorWithRole(
+        hubPublicKey,
+        collaboratorPubkey,
+        role,
+        options,
+      ),
+    )
+  }
 
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hubPublicKey.toBuffer(),
-          collaboratorPubkey.toBuffer(),
-        ],
-        this.program.programId,
+  /**
+   * @function buildHubAddCollaboratorWithRole
+   * @description Builds the unsigned transaction of `hubAddCollaboratorWithRole`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {String} role - 'editor' or 'contributor'.
+   * @param {Object} [options = {}] - { allowance } and transaction options.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubCollaborator.
+   */
+
+  async buildHubAddCollaboratorWithRole(
+    hubPublicKey,
+    collaboratorPubkey,
+    role,
+    options = {},
+  ) {
+    try {
+      const { allowance, ...txOptions } = options
+      const permissions = this.rolePermissions(role, allowance)
+
+      return await this.buildHubAddCollaborator(
+        hubPublicKey,
+        collaboratorPubkey,
+        permissions.canAddContent,
+        permissions.canAddCollaborator,
+        permissions.allowance,
+        txOptions,
       )
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
 
-      const tx = await this.program.methods
-        .hubRemoveCollaborator(hub.handle)
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          hub: hubPublicKey,
-          hubCollaborator,
-          collaborator: collaboratorPubkey,
-          systemProgram: anchor.web3.SystemProgram.programId,
-        })
-        .transaction()
+  /**
+   * @function hubUpdateCollaboratorRole
+   * @description Updates the permissions of a collaborator on a Hub to those of a role.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {String} role - 'editor' or 'contributor', see `HUB_ROLES`.
+   * @param {Object} [options = {}] - { allowance } to limit the Hub actions of the collaborator, and transaction
+   * options, ie { computeBudget, commitment, onProgress, version }.
+   * @example await NinaClient.Hub.hubUpdateCollaboratorRole(hubPublicKey, collaboratorPubkey, 'editor');
+   * @returns {Object} the updated account of a collaborator of a Hub.
+   */
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
+  async hubUpdateCollaboratorRole(
+    hubPublicKey,
+    collaboratorPubkey,
+    role,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildHubUpdateCollaboratorRole(
+        hubPublicKey,
+        collaboratorPubkey,
+        role,
+        options,
+      ),
+    )
+  }
 
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
+  /**
+   * @function buildHubUpdateCollaboratorRole
+   * @description Builds the unsigned transaction of `hubUpdateCollaboratorRole`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub account.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {String} role - 'editor' or 'contributor'.
+   * @param {Object} [options = {}] - { allowance } and transaction options.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubCollaborator.
+   */
+
+  async buildHubUpdateCollaboratorRole(
+    hubPublicKey,
+    collaboratorPubkey,
+    role,
+    options = {},
+  ) {
+    try {
+      const { allowance, ...txOptions } = options
+      const permissions = this.rolePermissions(role, allowance)
+
+      return await this.buildHubUpdateCollaboratorPermission(
+        hubPublicKey,
+        collaboratorPubkey,
+        permissions.canAddContent,
+        permissions.canAddCollaborator,
+        permissions.allowance,
+        txOptions,
       )
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
 
-      await getConfirmTransaction(txid, this.provider.connection)
-      await axios.get(
-        `${this.http.endpoint}/hubs/${
-          hub.handle
-        }/collaborators/${hubCollaborator.toBase58()}`,
+  rolePermissions(role, allowance = undefined) {
+    if (!HUB_ROLES[role]) {
+      throw new ValidationError(
+        `Role must be one of ${Object.keys(HUB_ROLES).join(', ')}`,
+        { field: 'role' },
       )
+    }
 
-      // endpoint needs to be updated to return collaborator
-      return {
-        collaboratorPublicKey: collaboratorPubkey.toBase58(),
-        hubPublicKey: hubPublicKey.toBase58(),
-      }
-    } catch (error) {
-      console.warn(error)
+    if (
+      allowance !== undefined &&
+      (!Number.isInteger(allowance) || allowance < UNLIMITED_ALLOWANCE)
+    ) {
+      throw new ValidationError(
+        'Allowance must be a whole number, or -1 for unlimited',
+        { field: 'allowance' },
+      )
+    }
 
-      return {
-        error,
+    return {
+      ...HUB_ROLES[role],
+      allowance:
+        allowance === undefined ? HUB_ROLES[role].allowance : allowance,
+    }
+  }
+
+  /**
+   * @function hubRemoveCollaborator
+   * @description Removes a collaborator from a Hub.
+   * @param {String} hubPublicKey - The public key of the Hub removing the collaborator.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example await NinaClient.Hub.hubRemoveCollaborator(ninaClient,"DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW","8sFiVz6kemckYUKRr9CRLuM8Pvkq4Lpvkx2mH3jPgGRX");
+   * @returns {Object} the account of the removed collaborator from the Hub.
+   */
+
+  async hubRemoveCollaborator(hubPublicKey, collaboratorPubkey, options = {}) {
+    return this.transactions.submit(
+      await this.buildHubRemoveCollaborator(
+        hubPublicKey,
+        collaboratorPubkey,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildHubRemoveCollaborator
+   * @description Builds the unsigned transaction of `hubRemoveCollaborator`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub removing the collaborator.
+   * @param {String} collaboratorPubkey - The public key of the collaborator account.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubCollaborator.
+   */
+
+  async buildHubRemoveCollaborator(
+    hubPublicKey,
+    collaboratorPubkey,
+    options = {},
+  ) {
+    try {
+      const hub = await this.fetchHubAccount(hubPublicKey)
+      hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
+
+      collaboratorPubkey = new anchor.web3.PublicKey(collaboratorPubkey)
+
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        collaboratorPubkey,
+      )
+
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        hub: hubPublicKey,
+        hubCollaborator,
+        collaborator: collaboratorPubkey,
+        systemProgram: anchor.web3.SystemProgram.programId,
       }
+
+      const tx = await this.program.methods
+        .hubRemoveCollaborator(hub.handle)
+        .accounts(accounts)
+        .transaction()
+
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          const paths = [
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+            `/accounts/${collaboratorPubkey.toBase58()}`,
+          ]
+
+          await this.http.invalidate(paths)
+          await this.sync.notify(
+            txid,
+            `/hubs/${hub.handle}/collaborators/${hubCollaborator.toBase58()}`,
+            { invalidate: paths },
+          )
+
+          // endpoint needs to be updated to return collaborator
+          return {
+            collaboratorPublicKey: collaboratorPubkey.toBase58(),
+            hubPublicKey: hubPublicKey.toBase58(),
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -611,6 +1170,7 @@ export default class Hub {
    * @param {String} hubPublicKey - The public key of the content's Hub.
    * @param {String} contentAccountPublicKey - The public key of the content account, which is either a Release or a Post.
    * @param {String} type - The content type. Should be either 'Release' or 'Post'.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const hub = await NinaClient.Hub.hubContentToggleVisibility(ninaClient, "DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW", "9XxDDBePiuR1y1M1gkxnbv7AAu6WqaHKMsxUwGirMZwP", 'Release');
    * @returns {Object} The toggled Post or Release.
    */
@@ -619,81 +1179,96 @@ export default class Hub {
     hubPublicKey,
     contentAccountPublicKey,
     type,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildHubContentToggleVisibility(
+        hubPublicKey,
+        contentAccountPublicKey,
+        type,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildHubContentToggleVisibility
+   * @description Builds the unsigned transaction of `hubContentToggleVisibility`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the content's Hub.
+   * @param {String} contentAccountPublicKey - The public key of the content account, which is either a Release or a Post.
+   * @param {String} type - The content type. Should be either 'Release' or 'Post'.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubContent.
+   */
+
+  async buildHubContentToggleVisibility(
+    hubPublicKey,
+    contentAccountPublicKey,
+    type,
+    options = {},
   ) {
     try {
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
-      const hub = this.program.account.hub.fetch(hubPublicKey)
+      const hub = await this.fetchHubAccount(hubPublicKey)
       contentAccountPublicKey = new anchor.web3.PublicKey(
         contentAccountPublicKey,
       )
 
-      const [hubContent] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-          hubPublicKey.toBuffer(),
-          contentAccountPublicKey.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubContent] = this.pda.hubContent(
+        hubPublicKey,
+        contentAccountPublicKey,
       )
 
-      const [hubChildPublicKey] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(
-              anchor.utils.bytes.utf8.encode(`nina-hub-${type.toLowerCase()}`),
-            ),
-            hubPublicKey.toBuffer(),
-            contentAccountPublicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
+      const [hubChildPublicKey] = this.pda.hubChild(
+        type.toLowerCase(),
+        hubPublicKey,
+        contentAccountPublicKey,
+      )
+
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        hub: hubPublicKey,
+        hubContent,
+        contentAccount: contentAccountPublicKey,
+        systemProgram: anchor.web3.SystemProgram.programId,
+      }
 
       const tx = await this.program.methods
         .hubContentToggleVisibility(hub.handle)
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          hub: hubPublicKey,
-          hubContent,
-          contentAccount: contentAccountPublicKey,
-          systemProgram: anchor.web3.SystemProgram.programId,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await this.provider.connection.getParsedTransaction(txid, 'finalized')
-
-      let toggledResult
-
-      if (type === 'Release') {
-        toggledResult = await this.fetchHubRelease(
-          hubPublicKey.toBase58(),
-          hubChildPublicKey.toBase58(),
-        )
-      } else if (type === 'Post') {
-        toggledResult = await this.fetchHubPost(
-          hubPublicKey.toBase58(),
-          hubChildPublicKey.toBase58(),
-        )
-      }
-
-      return {
-        hubRelease: toggledResult,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment || 'finalized',
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([`/hubs/${hubPublicKey.toBase58()}`])
+
+          let toggledResult
+
+          if (type === 'Release') {
+            toggledResult = await this.fetchHubRelease(
+              hubPublicKey.toBase58(),
+              hubChildPublicKey.toBase58(),
+            )
+          } else if (type === 'Post') {
+            toggledResult = await this.fetchHubPost(
+              hubPublicKey.toBase58(),
+              hubChildPublicKey.toBase58(),
+            )
+          }
+
+          return {
+            hubRelease: toggledResult,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -703,41 +1278,49 @@ export default class Hub {
    * @param {String} hubPublicKey - The public key of the Hub.
    * @param {String} releasePublicKey - The public key of the Release.
    * @param {String} fromHub - The public key of the referenced Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await NinaClient.Hubs.hubAddRelease(ninaClient, "9XxDDBePiuR1y1M1gkxnbv7AAu6WqaHKMsxUwGirMZwP", "9XxDDBePiuR1y1M1gkxnbv7AAu6WqaHKMsxUwGirMZwP", "DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW");
    * @returns {Object} the Hub Release data.
    */
 
-  async hubAddRelease(hubPublicKey, releasePublicKey, fromHub) {
+  async hubAddRelease(hubPublicKey, releasePublicKey, fromHub, options = {}) {
+    return this.transactions.submit(
+      await this.buildHubAddRelease(
+        hubPublicKey,
+        releasePublicKey,
+        fromHub,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildHubAddRelease
+   * @description Builds the unsigned transaction of `hubAddRelease`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {String} fromHub - The public key of the referenced Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubRelease and hubContent.
+   */
+
+  async buildHubAddRelease(
+    hubPublicKey,
+    releasePublicKey,
+    fromHub,
+    options = {},
+  ) {
     try {
-      const { hub } = await fetch(hubPublicKey)
+      const hub = await this.fetchHubAccount(hubPublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
       releasePublicKey = new anchor.web3.PublicKey(releasePublicKey)
 
-      const [hubRelease] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-release')),
-          hubPublicKey.toBuffer(),
-          releasePublicKey.toBuffer(),
-        ],
-        this.program.programId,
-      )
-
-      const [hubContent] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-          hubPublicKey.toBuffer(),
-          releasePublicKey.toBuffer(),
-        ],
-        this.program.programId,
-      )
+      const [hubRelease] = this.pda.hubRelease(hubPublicKey, releasePublicKey)
+      const [hubContent] = this.pda.hubContent(hubPublicKey, releasePublicKey)
 
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hubPublicKey.toBuffer(),
-          this.provider.wallet.publicKey.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        this.provider.wallet.publicKey,
       )
 
       let remainingAccounts
@@ -752,47 +1335,49 @@ export default class Hub {
         ]
       }
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        hub: hubPublicKey,
+        hubRelease,
+        hubContent,
+        hubCollaborator,
+        release: releasePublicKey,
+        systemProgram: anchor.web3.SystemProgram.programId,
+        rent: anchor.web3.SYSVAR_RENT_PUBKEY,
+      }
+
       const tx = await this.program.methods
         .hubAddRelease(hub.handle)
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          hub: hubPublicKey,
-          hubRelease,
-          hubContent,
-          hubCollaborator,
-          release: releasePublicKey,
-          systemProgram: anchor.web3.SystemProgram.programId,
-          rent: anchor.web3.SYSVAR_RENT_PUBKEY,
-        })
+        .accounts(accounts)
         .remainingAccounts(remainingAccounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-
-      const hubReleaseData = await this.fetchHubRelease(
-        hubPublicKey.toBase58(),
-        hubRelease.toBase58(),
-      )
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+            `/releases/${releasePublicKey.toBase58()}`,
+          ])
+
+          const hubReleaseData = await this.fetchHubRelease(
+            hubPublicKey.toBase58(),
+            hubRelease.toBase58(),
+          )
 
-      return {
-        hubRelease: hubReleaseData,
-      }
+          return {
+            hubRelease: hubReleaseData,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -800,26 +1385,35 @@ export default class Hub {
    * @function hubWithdraw
    * @description Withdraws Hub fees in the Hub dashboard.
    * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const txid = await NinaClient.Hub.hubWithdraw(ninaClient, hubPublicKey);
    * @returns { Object } the Hub account that made the withdrawal.
    */
 
-  async hubWithdraw(hubPublicKey) {
+  async hubWithdraw(hubPublicKey, options = {}) {
+    return this.transactions.submit(
+      await this.buildHubWithdraw(hubPublicKey, options),
+    )
+  }
+
+  /**
+   * @function buildHubWithdraw
+   * @description Builds the unsigned transaction of `hubWithdraw`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize }
+   */
+
+  async buildHubWithdraw(hubPublicKey, options = {}) {
     try {
-      const { hub } = await fetch(hubPublicKey)
+      const hub = await this.fetchHubAccount(hubPublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
 
       const USDC_MINT = new anchor.web3.PublicKey(
         NINA_CLIENT_IDS[this.cluster].mints.usdc,
       )
 
-      const [hubSigner] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-signer')),
-          hubPublicKey.toBuffer(),
-        ],
-        this.program.programId,
-      )
+      const [hubSigner] = this.pda.hubSigner(hubPublicKey)
 
       const [withdrawTarget] = await findOrCreateAssociatedTokenAccount(
         this.provider.connection,
@@ -850,44 +1444,45 @@ export default class Hub {
       const withdrawAmount =
         tokenAccounts.value[0].account.data.parsed.info.tokenAmount.uiAmount
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        hub: hubPublicKey,
+        hubSigner,
+        withdrawTarget,
+        withdrawDestination,
+        withdrawMint: USDC_MINT,
+        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+      }
+
       const tx = await this.program.methods
         .hubWithdraw(
-          new anchor.BN(uiToNative(withdrawAmount, USDC_MINT)),
+          new anchor.BN(uiToNative(withdrawAmount, USDC_MINT, this.cluster)),
           hub.handle,
         )
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          hub: hubPublicKey,
-          hubSigner,
-          withdrawTarget,
-          withdrawDestination,
-          withdrawMint: USDC_MINT,
-          tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      const hubData = await fetch(hubPublicKey.toBase58())
-
-      return {
-        hub: hubData,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+          ])
+          const hubData = await this.fetch(hubPublicKey.toBase58())
+
+          return {
+            hub: hubData,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -899,6 +1494,7 @@ export default class Hub {
    * @param {String} uri - The URI of the Post.
    * @param {String} fromHub - The public key of the referenced Hub.
    * @param {String} referenceRelease - The public key of the Release referenced in the post.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const post = await NinaClient.Hub.postInitViaHub(ninaClient, hubPublicKey, slug, uri);
    * @returns {Object} The created Post.
    */
@@ -909,9 +1505,43 @@ export default class Hub {
     uri,
     fromHub,
     referenceRelease = undefined,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildPostInitViaHub(
+        hubPublicKey,
+        slug,
+        uri,
+        fromHub,
+        referenceRelease,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildPostInitViaHub
+   * @description Builds the unsigned transaction of `postInitViaHub`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {String} slug - The slug of the Post.
+   * @param {String} uri - The URI of the Post.
+   * @param {String} fromHub - The public key of the referenced Hub.
+   * @param {String} referenceRelease - The public key of the Release referenced in the post.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the post, hubPost and hubContent.
+   */
+
+  async buildPostInitViaHub(
+    hubPublicKey,
+    slug,
+    uri,
+    fromHub,
+    referenceRelease = undefined,
+    options = {},
   ) {
     try {
-      const { hub } = await fetch(hubPublicKey)
+      // read on-chain, the handle is a parameter of the post and the authority finds the Hub's lookup table
+      const hub = await this.fetchHubAccount(hubPublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
 
       if (referenceRelease) {
@@ -919,41 +1549,13 @@ export default class Hub {
       }
 
       const slugHash = MD5(slug).toString().slice(0, 32)
+      const [post] = this.pda.post(hubPublicKey, slugHash)
+      const [hubPost] = this.pda.hubPost(hubPublicKey, post)
+      const [hubContent] = this.pda.hubContent(hubPublicKey, post)
 
-      const [post] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-post')),
-          hubPublicKey.toBuffer(),
-          Buffer.from(anchor.utils.bytes.utf8.encode(slugHash)),
-        ],
-        this.program.programId,
-      )
-
-      const [hubPost] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-post')),
-          hubPublicKey.toBuffer(),
-          post.toBuffer(),
-        ],
-        this.program.programId,
-      )
-
-      const [hubContent] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-          hubPublicKey.toBuffer(),
-          post.toBuffer(),
-        ],
-        this.program.programId,
-      )
-
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hubPublicKey.toBuffer(),
-          this.provider.wallet.publicKey.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        this.provider.wallet.publicKey,
       )
 
       let tx
@@ -985,28 +1587,18 @@ export default class Hub {
       if (referenceRelease) {
         request.accounts.referenceRelease = referenceRelease
 
-        const [_referenceReleaseHubRelease] =
-          await anchor.web3.PublicKey.findProgramAddress(
-            [
-              Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-release')),
-              hubPublicKey.toBuffer(),
-              referenceRelease.toBuffer(),
-            ],
-            this.program.programId,
-          )
+        const [_referenceReleaseHubRelease] = this.pda.hubRelease(
+          hubPublicKey,
+          referenceRelease,
+        )
 
         request.accounts.referenceReleaseHubRelease =
           _referenceReleaseHubRelease
 
-        const [referenceReleaseHubContent] =
-          await anchor.web3.PublicKey.findProgramAddress(
-            [
-              Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-              hubPublicKey.toBuffer(),
-              referenceRelease.toBuffer(),
-            ],
-            this.program.programId,
-          )
+        const [referenceReleaseHubContent] = this.pda.hubContent(
+          hubPublicKey,
+          referenceRelease,
+        )
 
         request.accounts.referenceReleaseHubContent = referenceReleaseHubContent
         tx = await this.program.methods
@@ -1020,32 +1612,43 @@ export default class Hub {
           .transaction()
       }
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
+      const lookupTables = await this.transactions.lookupTablesForHub(
+        hubPublicKey,
+        hub.authority,
+        options,
       )
 
-      await getConfirmTransaction(txid, this.provider.connection)
-
-      const hubPostData = await this.fetchHubPost(
-        hubPublicKey.toBase58(),
-        hubPost.toBase58(),
-      )
+      return await this.transactions.build(tx, {
+        accounts: request.accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables,
+        finalize: async (txid) => {
+          this.sync.expect(txid, {
+            path: `/posts/${post.toBase58()}`,
+            contains: post.toBase58(),
+          })
+          await this.http.invalidate([
+            '/posts',
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+
+          const hubPostData = await this.fetchHubPost(
+            hubPublicKey.toBase58(),
+            hubPost.toBase58(),
+          )
 
-      return {
-        post: hubPostData,
-      }
+          return {
+            post: hubPostData,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -1057,79 +1660,185 @@ export default class Hub {
    * @param {String} uri - The URI of the Post.
    * @param {String=} referenceRelease - The public key of the Release referenced in the Post.
    * @param {String=} fromHub - The public key of the referenced Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const post = await NinaClient.Hub.postInitViaHub(ninaClient, hubPublicKey, slug, uri);
    * @returns {Object} The updated Post.
    */
 
-  async postUpdateViaHub(hubPublicKey, slug, uri) {
+  async postUpdateViaHub(hubPublicKey, slug, uri, options = {}) {
+    return this.transactions.submit(
+      await this.buildPostUpdateViaHub(hubPublicKey, slug, uri, options),
+    )
+  }
+
+  /**
+   * @function buildPostUpdateViaHub
+   * @description Builds the unsigned transaction of `postUpdateViaHub`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {String} slug - The slug of the Post.
+   * @param {String} uri - The URI of the Post.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the post and hubPost.
+   */
+
+  async buildPostUpdateViaHub(hubPublicKey, slug, uri, options = {}) {
     try {
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
-      const hub = await this.program.account.Hub.fetch(hubPublicKey)
-
-      const [post] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-post')),
-          hubPublicKey.toBuffer(),
-          Buffer.from(anchor.utils.bytes.utf8.encode(slug)),
-        ],
-        this.program.programId,
-      )
+      const hub = await this.fetchHubAccount(hubPublicKey)
+      const [post] = this.pda.post(hubPublicKey, slug)
+      const [hubPost] = this.pda.hubPost(hubPublicKey, post)
 
-      const [hubPost] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-post')),
-          hubPublicKey.toBuffer(),
-          post.toBuffer(),
-        ],
-        this.program.programId,
+      const [hubCollaborator] = this.pda.hubCollaborator(
+        hubPublicKey,
+        this.provider.wallet.publicKey,
       )
 
-      const [hubCollaborator] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-collaborator')),
-          hubPublicKey.toBuffer(),
-          this.provider.wallet.publicKey.toBuffer(),
-        ],
-        this.program.programId,
-      )
+      const accounts = {
+        author: this.provider.wallet.publicKey,
+        hub: hubPublicKey,
+        post,
+        hubPost,
+        hubCollaborator,
+      }
 
       const tx = await this.program.methods
         .postUpdateViaHubPost(hub.handle, slug, uri)
-        .accounts({
-          author: this.provider.wallet.publicKey,
-          hub: hubPublicKey,
-          post,
-          hubPost,
-          hubCollaborator,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([
+            '/posts',
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hub.handle}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+
+          const hubPostData = await this.fetchHubPost(
+            hubPublicKey.toBase58(),
+            hubPost.toBase58(),
+          )
 
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
+          return {
+            post: hubPostData,
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  /**
+   * @function createLookupTable
+   * @description Creates an address lookup table for a Hub holding the Hub, its hubSigner and hubWallets, the USDC and
+   * wrapped SOL mints and the programs used by Hub purchases and posts. Purchases and posts through the Hub find the
+   * table and are built as v0 transactions, which keeps them under the transaction size limit. Called by the Hub authority.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress }.
+   * @example const { lookupTable } = await NinaClient.Hub.createLookupTable(hubPublicKey);
+   * @returns {Object} { lookupTable } the public key of the lookup table.
+   */
+
+  async createLookupTable(hubPublicKey, options = {}) {
+    return this.transactions.submit(
+      await this.buildCreateLookupTable(hubPublicKey, options),
+    )
+  }
+
+  /**
+   * @function buildCreateLookupTable
+   * @description Builds the unsigned transaction of `createLookupTable`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the lookupTable.
+   */
+
+  async buildCreateLookupTable(hubPublicKey, options = {}) {
+    try {
+      hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
+
+      const hub = await this.program.account.hub.fetch(hubPublicKey)
+
+      if (!hub.authority.equals(this.provider.wallet.publicKey)) {
+        throw new ValidationError(
+          'Only the Hub authority can create the lookup table of a Hub',
+          { field: 'hubPublicKey' },
+        )
+      }
+
+      const [hubSigner] = this.pda.hubSigner(hubPublicKey)
+
+      const mints = Object.values(NINA_CLIENT_IDS[this.cluster].mints).map(
+        (mint) => new anchor.web3.PublicKey(mint),
       )
 
-      await getConfirmTransaction(txid, this.provider.connection)
+      const hubWallets = await Promise.all(
+        mints.map((mint) => findAssociatedTokenAddress(hubSigner, mint)),
+      )
+
+      const recentSlot = await this.provider.connection.getSlot('finalized')
+
+      const [createInstruction, lookupTable] =
+        anchor.web3.AddressLookupTableProgram.createLookupTable({
+          authority: this.provider.wallet.publicKey,
+          payer: this.provider.wallet.publicKey,
+          recentSlot,
+        })
+
+      // the Hub comes first, so the table can be found by its first address
+      const addresses = [
+        hubPublicKey,
+        hubSigner,
+        ...hubWallets,
+        ...mints,
+        anchor.utils.token.TOKEN_PROGRAM_ID,
+        anchor.utils.token.ASSOCIATED_PROGRAM_ID,
+        anchor.web3.SystemProgram.programId,
+        anchor.web3.SYSVAR_RENT_PUBKEY,
+      ]
 
-      const hubPostData = await this.fetchHubPost(
-        hubPublicKey.toBase58(),
-        hubPost.toBase58(),
+      const extendInstruction =
+        anchor.web3.AddressLookupTableProgram.extendLookupTable({
+          lookupTable,
+          authority: this.provider.wallet.publicKey,
+          payer: this.provider.wallet.publicKey,
+          addresses,
+        })
+
+      const tx = new anchor.web3.Transaction().add(
+        createInstruction,
+        extendInstruction,
       )
 
-      return {
-        post: hubPostData,
+      const accounts = {
+        hub: hubPublicKey,
+        lookupTable,
       }
-    } catch (error) {
-      console.warn(error)
 
-      return {
-        error,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: 'legacy',
+        finalize: async () => {
+          this.transactions.registerHubLookupTable(hubPublicKey, lookupTable)
+
+          return {
+            lookupTable: lookupTable.toBase58(),
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 }
@@ -1,3 +1,5 @@
+import { paginate } from '../paginate'
+
 /**
  * @module Post
  */
@@ -30,6 +32,22 @@ export default class Post {
     )
   }
 
+  /**
+   * @function iterateAll
+   * @description Iterates over all of the Posts on Nina, fetching pages as they are consumed.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Fetch full on-chain Post accounts.
+   * @example for await (const post of NinaClient.Post.iterateAll()) {}
+   * @returns {AsyncIterator} an async iterator of all of the Posts on Nina.
+   */
+  iterateAll(options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchAll(pagination, withAccountData),
+      'posts',
+      options,
+    )
+  }
+
   /**
    * @function fetch
    * @description Fetches a Post.
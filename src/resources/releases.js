@@ -1,31 +1,81 @@
 import * as anchor from '@project-serum/anchor'
-import axios from 'axios'
+import {
+  AccountLayout,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createCloseAccountInstruction,
+  createSyncNativeInstruction,
+} from '@solana/spl-token'
 import CryptoJS from 'crypto-js'
+import _ from 'lodash'
 import Promise from 'promise'
+import { ValidationError, handleError } from '../errors'
+import Formatter from '../formatter'
+import { paginate } from '../paginate'
 import {
   MAX_U64,
   NINA_CLIENT_IDS,
   createMintInstructions,
   decodeNonEncryptedByteArray,
+  findAssociatedTokenAddress,
   findOrCreateAssociatedTokenAccount,
-  getConfirmTransaction,
   isSol,
   readFileChunked,
   uiToNative,
   wrapSol,
 } from '../utils'
-// import Uploader from './uploader'
+import Uploader from './uploader'
 
 /**
  * @module Release
  */
 
+// the base fee of a transaction signed by the buyer alone
+const LAMPORTS_PER_SIGNATURE = 5000
+
+const normalizeTracks = (tracks, title) => {
+  if (!tracks) {
+    return []
+  }
+
+  // a single audio file publishes a one track Release titled after the Release
+  const list = Array.isArray(tracks) ? tracks : [{ title, file: tracks }]
+
+  return list.map((track) => ({
+    ...track,
+    duration:
+      track.duration ||
+      (track.file && track.file.meta ? track.file.meta.duration : undefined),
+  }))
+}
+
+const isSoldOut = (release) =>
+  release.totalSupply.toString() !== MAX_U64 && release.remainingSupply.isZero()
+
 export default class Release {
-  constructor({ program, provider, http, cluster }) {
+  constructor({
+    program,
+    pda,
+    provider,
+    http,
+    watcher,
+    transactions,
+    sync,
+    wallet,
+    metadata,
+    cluster,
+    legacyErrors,
+  }) {
     this.program = program
+    this.pda = pda
+    this.watcher = watcher
+    this.transactions = transactions
+    this.sync = sync
+    this.wallet = wallet
+    this.metadata = metadata
     this.provider = provider
     this.http = http
     this.cluster = cluster
+    this.legacyErrors = legacyErrors
   }
   /**
    * @function fetchAll
@@ -48,6 +98,22 @@ export default class Release {
     )
   }
 
+  /**
+   * @function iterateAll
+   * @description Iterates over all of the Releases on Nina, fetching pages as they are consumed.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Fetch full on-chain Release accounts.
+   * @example for await (const release of NinaClient.Release.iterateAll()) {}
+   * @returns {AsyncIterator} an async iterator of all of the Releases on Nina.
+   */
+  iterateAll(options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchAll(pagination, withAccountData),
+      'releases',
+      options,
+    )
+  }
+
   /**
    * @function fetch
    * @param {String} publicKey - The public key of the release.
@@ -60,6 +126,38 @@ export default class Release {
     return this.http.get(`/releases/${publicKey}`, undefined, withAccountData)
   }
 
+  /**
+   * @function watch
+   * @description Calls `callback` with the parsed on-chain Release account whenever it changes, ie after every purchase.
+   * @param {String} publicKey - The public key of the release.
+   * @param {Function} callback - Called with (release, context).
+   * @param {Object} [options = {}] - Watch options: mode ('websocket' or 'polling'), pollInterval, onError.
+   * @example const { unsubscribe } = NinaClient.Release.watch("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ", (release) => console.log(release.remainingSupply));
+   * @returns {Object} { unsubscribe }
+   */
+  watch(publicKey, callback, options = {}) {
+    return this.watcher.watchAccount(publicKey, 'release', callback, {
+      ...options,
+      parse: (release) => Formatter.parseReleaseAccountData(release),
+    })
+  }
+
+  /**
+   * @function watchPurchases
+   * @description Calls `callback` for every confirmed purchase transaction, optionally only for a single Release.
+   * @param {Function} callback - Called with ({ signature, instructions, logs }, context).
+   * @param {Object} [options = {}] - Watch options: releasePublicKey, mode ('websocket' or 'polling'), pollInterval, onError.
+   * @example const { unsubscribe } = NinaClient.Release.watchPurchases(({ signature }) => {}, { releasePublicKey: "4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ" });
+   * @returns {Object} { unsubscribe }
+   */
+  watchPurchases(callback, { releasePublicKey, ...options } = {}) {
+    return this.watcher.watchProgramLogs(callback, {
+      ...options,
+      instructions: ['releasePurchase', 'releasePurchaseViaHub'],
+      accounts: releasePublicKey ? [releasePublicKey] : undefined,
+    })
+  }
+
   /**
    * @function fetchCollectors
    * @param {String} publicKey - The public key of the release.
@@ -71,10 +169,24 @@ export default class Release {
 
   async fetchCollectors(publicKey, pagination = {}, withCollection = false) {
     return this.http.get(
-      `/releases/${publicKey}/collectors${
-        withCollection ? '?withCollection=true' : ''
-      }`,
-      pagination,
+      `/releases/${publicKey}/collectors`,
+      withCollection ? { ...pagination, withCollection: true } : pagination,
+    )
+  }
+
+  /**
+   * @function iterateCollectors
+   * @description Iterates over the collectors of a Release.
+   * @param {String} publicKey - The public key of the release.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @example for await (const collector of NinaClient.Release.iterateCollectors("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ")) {}
+   * @returns {AsyncIterator} an async iterator of the collectors of a Release.
+   */
+  iterateCollectors(publicKey, options = {}) {
+    return paginate(
+      (pagination) => this.fetchCollectors(publicKey, pagination),
+      'collectors',
+      options,
     )
   }
 
@@ -95,6 +207,23 @@ export default class Release {
     )
   }
 
+  /**
+   * @function iterateHubs
+   * @description Iterates over the Hubs that a Release belongs to.
+   * @param {String} publicKey - The public key of the release.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Fetch full on-chain Hub accounts.
+   * @example for await (const hub of NinaClient.Release.iterateHubs("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Hubs that a Release belongs to.
+   */
+  iterateHubs(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchHubs(publicKey, pagination, withAccountData),
+      'hubs',
+      options,
+    )
+  }
+
   /**
    * @function fetchExchanges
    * @param {String} publicKey - The public key of the release.
@@ -112,6 +241,24 @@ export default class Release {
     )
   }
 
+  /**
+   * @function iterateExchanges
+   * @description Iterates over the Exchanges that belong to a Release.
+   * @param {String} publicKey - The public key of the release.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Fetch full on-chain Exchange accounts.
+   * @example for await (const exchange of NinaClient.Release.iterateExchanges("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Exchanges that belong to a Release.
+   */
+  iterateExchanges(publicKey, options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) =>
+        this.fetchExchanges(publicKey, pagination, withAccountData),
+      'exchanges',
+      options,
+    )
+  }
+
   /**
    * @function fetchRevenueShareRecipients
    * @param {String} publicKey - The public key of the release.
@@ -121,7 +268,11 @@ export default class Release {
    * @returns {Array} an array of all of the Revenue Share Recipients that belong to a Release.
    */
 
-  async fetchRevenueShareRecipients(publicKey, pagination = {}, withAccountData = false) {
+  async fetchRevenueShareRecipients(
+    publicKey,
+    pagination = {},
+    withAccountData = false,
+  ) {
     return this.http.get(
       `/releases/${publicKey}/revenueShareRecipients`,
       pagination,
@@ -129,162 +280,705 @@ export default class Release {
     )
   }
 
+  /**
+   * @function iterateRevenueShareRecipients
+   * @description Iterates over the Revenue Share Recipients of a Release.
+   * @param {String} publicKey - The public key of the release.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Fetch the full on-chain Release account and royalty recipients.
+   * @example for await (const recipient of NinaClient.Release.iterateRevenueShareRecipients("4dS4v5dGrUwEZmjCFu56qgyAmRfaPmns9PveWAw61rEQ")) {}
+   * @returns {AsyncIterator} an async iterator of the Revenue Share Recipients of a Release.
+   */
+  iterateRevenueShareRecipients(
+    publicKey,
+    options = {},
+    withAccountData = false,
+  ) {
+    return paginate(
+      (pagination) =>
+        this.fetchRevenueShareRecipients(
+          publicKey,
+          pagination,
+          withAccountData,
+        ),
+      'revenueShareRecipients',
+      options,
+    )
+  }
+
   /**
    *
    * @function releasePurchase
    * @description Purchases a Release outside of a Hub.
    * @param {Object} client - The Nina Client instance.
    * @param {String} releasePublicKey - The public key of the Release being purchased.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await NinaClient.Releases.releasePurchase(ninaClient, "DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW");
    * @returns {String} the Release that was Purchased.
    */
 
-  async purchase(releasePublicKey, hubPublicKey = undefined) {
+  async purchase(releasePublicKey, hubPublicKey = undefined, options = {}) {
+    return this.transactions.submit(
+      await this.buildPurchase(releasePublicKey, hubPublicKey, options),
+    )
+  }
+
+  /**
+   * @function buildPurchase
+   * @description Builds the unsigned transaction of `purchase`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} releasePublicKey - The public key of the Release being purchased.
+   * @param {String} [hubPublicKey] - The public key of the Hub the Release is purchased through.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example const { transaction, accounts } = await NinaClient.Release.buildPurchase("DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW");
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubRelease and hubContent when purchased through a Hub.
+   */
+
+  async buildPurchase(
+    releasePublicKey,
+    hubPublicKey = undefined,
+    options = {},
+  ) {
+    return this.buildPurchaseFor(
+      releasePublicKey,
+      this.provider.wallet.publicKey,
+      { ...options, hubPublicKey },
+    )
+  }
+
+  /**
+   *
+   * @function purchaseFor
+   * @description Purchases a Release for another wallet, ie to gift it. The wallet pays and the recipient receives
+   * the Release, creating their token account for it when needed.
+   * @param {String} releasePublicKey - The public key of the Release being purchased.
+   * @param {String} recipient - The public key of the wallet receiving the Release.
+   * @param {Object} [options = {}] - { hubPublicKey } to purchase through a Hub, along with transaction options, ie
+   * { computeBudget, commitment, onProgress, version }.
+   * @example await NinaClient.Release.purchaseFor("DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW", "8sFiVz6kemckYUKRr9CRLuM8Pvkq4Lpvkx2SH3aXnDQa");
+   * @returns {Object} the Release that was purchased.
+   */
+
+  async purchaseFor(releasePublicKey, recipient, options = {}) {
+    return this.transactions.submit(
+      await this.buildPurchaseFor(releasePublicKey, recipient, options),
+    )
+  }
+
+  /**
+   * @function buildPurchaseFor
+   * @description Builds the unsigned transaction of `purchaseFor`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} releasePublicKey - The public key of the Release being purchased.
+   * @param {String} recipient - The public key of the wallet receiving the Release.
+   * @param {Object} [options = {}] - { hubPublicKey } along with transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubRelease and hubContent when purchased through a Hub.
+   */
+
+  async buildPurchaseFor(releasePublicKey, recipient, options = {}) {
+    if (!recipient) {
+      return handleError(
+        new ValidationError('recipient is required', { field: 'recipient' }),
+        this.program,
+        this.legacyErrors,
+      )
+    }
+
     try {
       releasePublicKey = new anchor.web3.PublicKey(releasePublicKey)
 
+      const receiver = new anchor.web3.PublicKey(recipient)
       const release = await this.program.account.release.fetch(releasePublicKey)
-      let [payerTokenAccount] = await findOrCreateAssociatedTokenAccount(
-        this.provider.connection,
-        this.provider.wallet.publicKey,
-        this.provider.wallet.publicKey,
-        anchor.web3.SystemProgram.programId,
-        anchor.web3.SYSVAR_RENT_PUBKEY,
-        release.paymentMint,
-      )
+      const instructions = []
 
-      const [receiverReleaseTokenAccount, receiverReleaseTokenAccountIx] =
-        await findOrCreateAssociatedTokenAccount(
-          this.provider.connection,
-          this.provider.wallet.publicKey,
-          this.provider.wallet.publicKey,
-          anchor.web3.SystemProgram.programId,
-          anchor.web3.SYSVAR_RENT_PUBKEY,
-          release.releaseMint,
-        )
+      const hubPublicKey = options.hubPublicKey
+        ? new anchor.web3.PublicKey(options.hubPublicKey)
+        : undefined
 
-      const instructions = []
+      let hub
+      let lookupTables = options.lookupTables
 
-      if (receiverReleaseTokenAccountIx) {
-        instructions.push({
-          instructions: [receiverReleaseTokenAccountIx],
-          cleanupInstructions: [],
-          signers: [],
-        })
+      if (hubPublicKey) {
+        hub = await this.program.account.hub.fetch(hubPublicKey)
+
+        lookupTables = await this.transactions.lookupTablesForHub(
+          hubPublicKey,
+          hub.authority,
+          options,
+        )
       }
 
+      let payerTokenAccount = await findAssociatedTokenAddress(
+        this.provider.wallet.publicKey,
+        release.paymentMint,
+      )
+
       if (isSol(release.paymentMint, this.cluster)) {
         const [wrappedSolAccount, wrappedSolInstructions] = await wrapSol(
           this.provider,
           release.price,
           release.paymentMint,
+          this.provider.wallet.publicKey,
         )
 
         instructions.push(...wrappedSolInstructions)
         payerTokenAccount = wrappedSolAccount
       }
 
-      const accounts = {
-        payer: this.provider.wallet.publicKey,
-        receiver: this.provider.wallet.publicKey,
-        release: releasePublicKey,
-        releaseSigner: release.releaseSigner,
-        payerTokenAccount,
-        receiverReleaseTokenAccount,
-        royaltyTokenAccount: release.royaltyTokenAccount,
-        releaseMint: release.releaseMint,
-        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+      const purchase = await this.purchaseInstructions(
+        releasePublicKey,
+        release,
+        { payerTokenAccount, receiver, hubPublicKey, hub },
+      )
+
+      instructions.push(...purchase.instructions)
+      const { accounts } = purchase
+      const tx = new anchor.web3.Transaction().add(...instructions)
+
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables,
+        finalize: async (txid) => {
+          const collectedPath = `/accounts/${receiver.toBase58()}/collected`
+
+          const paths = _.uniq([
+            `/releases/${releasePublicKey.toBase58()}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+            `/accounts/${receiver.toBase58()}`,
+            hubPublicKey && `/hubs/${hubPublicKey.toBase58()}`,
+          ])
+
+          await this.http.invalidate(paths)
+          await this.sync.notify(txid, `${collectedPath}?txId=${txid}`, {
+            check: {
+              path: collectedPath,
+              contains: releasePublicKey.toBase58(),
+            },
+            invalidate: paths,
+          })
+          const newRelease = await this.fetch(releasePublicKey.toBase58(), true)
+
+          return {
+            release: newRelease,
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  /**
+   * @function canPurchase
+   * @description Tells whether a purchase of a Release would succeed, ie before rendering a buy button. The Release
+   * is read on-chain, and the buyer's balance is compared to the price, the transaction fee, the priority fee of the
+   * client compute budget and the rent of the token accounts the purchase creates.
+   *
+   * Closing a Release caps its supply at the editions sold, so a closed Release that sold editions is reported as
+   * SOLD_OUT.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {String} [buyer] - The public key of the buyer, defaults to the wallet.
+   * @param {Object} [options = {}] - { computeBudget } when the purchase overrides the client compute budget.
+   * @example
+   * const { canPurchase, reason } = await NinaClient.Release.canPurchase("DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW");
+   * @returns {Object} { canPurchase, reason, release, amountHeld, lamportsNeeded, tokensNeeded, priorityFee } where
+   * reason is 'OK', 'CLOSED', 'SOLD_OUT', 'NOT_YET_RELEASED', 'ALREADY_HELD' or 'INSUFFICIENT_FUNDS', and the amounts
+   * needed are in lamports and in the smallest unit of the payment mint.
+   */
+
+  async canPurchase(releasePublicKey, buyer = undefined, options = {}) {
+    try {
+      const buyerPublicKey = buyer || this.provider.wallet.publicKey
+
+      if (!buyerPublicKey) {
+        throw new ValidationError('buyer is required', { field: 'buyer' })
       }
 
-      let tx
+      const owner = new anchor.web3.PublicKey(buyerPublicKey)
 
-      if (hubPublicKey) {
-        const hub = await this.program.account.hub.fetch(hubPublicKey)
-
-        const [hubRelease] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-release')),
-            hubPublicKey.toBuffer(),
-            releasePublicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
+      const release = Formatter.parseReleaseAccountData(
+        await this.program.account.release.fetch(
+          new anchor.web3.PublicKey(releasePublicKey),
+        ),
+      )
 
-        const [hubContent] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-            hubPublicKey.toBuffer(),
-            releasePublicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
+      const result = (reason, details = {}) => ({
+        canPurchase: reason === 'OK',
+        reason,
+        release,
+        ...details,
+      })
 
-        const [hubSigner] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-signer')),
-            hubPublicKey.toBuffer(),
-          ],
-          this.program.programId,
+      if (release.editionType === 'limited' && release.remainingSupply === 0) {
+        return result(
+          release.totalSupply > 0 && release.saleCounter >= release.totalSupply
+            ? 'SOLD_OUT'
+            : 'CLOSED',
         )
+      }
 
-        const [hubWallet] = await findOrCreateAssociatedTokenAccount(
-          this.provider.connection,
-          this.provider.wallet.publicKey,
-          hubSigner,
-          anchor.web3.SystemProgram.programId,
-          anchor.web3.SYSVAR_RENT_PUBKEY,
-          release.paymentMint,
-        )
+      if (release.releaseDatetime > Date.now()) {
+        return result('NOT_YET_RELEASED')
+      }
 
-        accounts.hub = new anchor.web3.PublicKey(hubPublicKey)
-        accounts.hubRelease = hubRelease
-        accounts.hubContent = hubContent
-        accounts.hubSigner = hubSigner
-        accounts.hubWallet = hubWallet
+      const amountHeld = await this.wallet.getAmountHeld(release, owner)
 
-        tx = await this.program.methods
-          .releasePurchaseViaHub(
-            release.price,
-            decodeNonEncryptedByteArray(hub.handle),
-          )
-          .accounts(accounts)
-          .preInstructions(instructions)
-          .transaction()
-      } else {
-        tx = await this.program.methods
+      if (amountHeld > 0) {
+        return result('ALREADY_HELD', { amountHeld })
+      }
+
+      const sol = isSol(release.paymentMint, this.cluster)
+
+      const [releaseTokenAccount, paymentTokenAccount] = await Promise.all([
+        findAssociatedTokenAddress(
+          owner,
+          new anchor.web3.PublicKey(release.releaseMint),
+        ),
+        findAssociatedTokenAddress(
+          owner,
+          new anchor.web3.PublicKey(release.paymentMint),
+        ),
+      ])
+
+      const [existingAccounts, rent, lamports, tokens] = await Promise.all([
+        this.provider.connection.getMultipleAccountsInfo([
+          releaseTokenAccount,
+          paymentTokenAccount,
+        ]),
+        this.provider.connection.getMinimumBalanceForRentExemption(
+          AccountLayout.span,
+        ),
+        this.wallet.getSolBalanceForPublicKey(owner),
+        sol
+          ? 0
+          : this.wallet.getTokenBalanceForPublicKey(owner, release.paymentMint),
+      ])
+
+      // SOL is wrapped into the buyer's wrapped SOL account, created along with the purchase
+      const accountsCreated = existingAccounts.filter(
+        (account, index) => !account && (index === 0 || sol),
+      ).length
+
+      // the purchase, the token accounts created and the transfer and sync wrapping SOL
+      const priorityFee = await this.transactions.priorityFeeLamports(
+        [releasePublicKey],
+        1 + accountsCreated + (sol ? 2 : 0),
+        options.computeBudget,
+      )
+
+      const lamportsNeeded =
+        LAMPORTS_PER_SIGNATURE +
+        priorityFee +
+        accountsCreated * rent +
+        (sol ? release.price : 0)
+
+      const tokensNeeded = sol ? 0 : release.price
+
+      return result(
+        lamports < lamportsNeeded || tokens < tokensNeeded
+          ? 'INSUFFICIENT_FUNDS'
+          : 'OK',
+        { amountHeld, lamportsNeeded, tokensNeeded, priorityFee },
+      )
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  /**
+   * @function purchaseInstructions
+   * @description Builds the instructions purchasing a Release: the creation of the receiver's token account for the
+   * Release when it does not exist yet, followed by `releasePurchase` or, through a Hub, `releasePurchaseViaHub`.
+   * @param {PublicKey} releasePublicKey - The public key of the Release being purchased.
+   * @param {Object} release - The Release account.
+   * @param {Object} params
+   * @param {PublicKey} params.payerTokenAccount - The token account of the payment mint the price is paid from.
+   * @param {PublicKey} [params.receiver] - The wallet receiving the Release, defaults to the payer.
+   * @param {PublicKey} [params.hubPublicKey] - The public key of the Hub the Release is purchased through.
+   * @param {Object} [params.hub] - The Hub account, fetched when omitted.
+   * @returns {Object} { instructions, accounts }
+   */
+
+  async purchaseInstructions(
+    releasePublicKey,
+    release,
+    {
+      payerTokenAccount,
+      receiver = this.provider.wallet.publicKey,
+      hubPublicKey = undefined,
+      hub = undefined,
+    },
+  ) {
+    const instructions = []
+
+    const [receiverReleaseTokenAccount, receiverReleaseTokenAccountIx] =
+      await findOrCreateAssociatedTokenAccount(
+        this.provider.connection,
+        this.provider.wallet.publicKey,
+        receiver,
+        anchor.web3.SystemProgram.programId,
+        anchor.web3.SYSVAR_RENT_PUBKEY,
+        release.releaseMint,
+      )
+
+    if (receiverReleaseTokenAccountIx) {
+      instructions.push(receiverReleaseTokenAccountIx)
+    }
+
+    const accounts = {
+      payer: this.provider.wallet.publicKey,
+      receiver,
+      release: releasePublicKey,
+      releaseSigner: release.releaseSigner,
+      payerTokenAccount,
+      receiverReleaseTokenAccount,
+      royaltyTokenAccount: release.royaltyTokenAccount,
+      releaseMint: release.releaseMint,
+      tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+    }
+
+    if (!hubPublicKey) {
+      instructions.push(
+        await this.program.methods
           .releasePurchase(release.price)
           .accounts(accounts)
-          .preInstructions(instructions || [])
-          .transaction()
+          .instruction(),
+      )
+
+      return { instructions, accounts }
+    }
+
+    hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
+
+    if (!hub) {
+      hub = await this.program.account.hub.fetch(hubPublicKey)
+    }
+
+    const [hubRelease] = this.pda.hubRelease(hubPublicKey, releasePublicKey)
+    const [hubContent] = this.pda.hubContent(hubPublicKey, releasePublicKey)
+    const [hubSigner] = this.pda.hubSigner(hubPublicKey)
+    accounts.hub = hubPublicKey
+    accounts.hubRelease = hubRelease
+    accounts.hubContent = hubContent
+    accounts.hubSigner = hubSigner
+    accounts.hubWallet = await findAssociatedTokenAddress(
+      hubSigner,
+      release.paymentMint,
+    )
+
+    instructions.push(
+      await this.program.methods
+        .releasePurchaseViaHub(
+          release.price,
+          decodeNonEncryptedByteArray(hub.handle),
+        )
+        .accounts(accounts)
+        .instruction(),
+    )
+
+    return { instructions, accounts }
+  }
+
+  /**
+   *
+   * @function purchaseMany
+   * @description Purchases several Releases, packing as many purchases per transaction as fit and signing every
+   * transaction at once with `signAllTransactions`. Releases that are sold out or missing are reported without
+   * being sent, and a failed transaction only fails the purchases it contains.
+   * @param {Array} purchases - [{ releasePublicKey, hubPublicKey }] where hubPublicKey is optional.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example
+   * const { results } = await NinaClient.Release.purchaseMany([
+   *   { releasePublicKey: "DDiezQSSNWF1XxKfhJv4YqB2y4xGYzCDVvVYU46wHhKW" },
+   *   { releasePublicKey: "BgVfERhoGVrRPJqGbDxhRbrxRhK3buTcbrrsZYEcwbNw", hubPublicKey: "2CMyS4k6HQvLVdA2DxB6em3izhNw7uq2hzX7E4f7UJ3f" },
+   * ])
+   * @returns {Object} { results } with a { releasePublicKey, hubPublicKey, success, status, txid, error, release,
+   * warning } per purchase, in order, where status is 'purchased', 'failed', 'sold_out' or 'not_found', and warning
+   * is set when a step after a confirmed purchase failed.
+   */
+
+  async purchaseMany(purchases, options = {}) {
+    const built = await this.buildPurchaseMany(purchases, options)
+
+    if (built.error) {
+      return built
+    }
+
+    let submitted = []
+
+    if (built.transactions.length > 0) {
+      submitted = await this.transactions.submitAll(built.transactions)
+    }
+
+    if (submitted.error) {
+      return submitted
+    }
+
+    return {
+      results: built.purchases.map(({ transactionIndex, ...purchase }) => {
+        if (transactionIndex === undefined) {
+          return { ...purchase, success: false }
+        }
+
+        const { txid, result, error } = submitted[transactionIndex]
+
+        return {
+          ...purchase,
+          success: !error,
+          status: error ? 'failed' : 'purchased',
+          txid,
+          error,
+          // a purchase confirmed before its finalize step failed has no releases, only a warning
+          release:
+            result && result.releases
+              ? result.releases[purchase.releasePublicKey]
+              : undefined,
+          warning: result ? result.warning : undefined,
+        }
+      }),
+    }
+  }
+
+  /**
+   * @function buildPurchaseMany
+   * @description Builds the unsigned transactions of `purchaseMany`, to be signed elsewhere and sent with
+   * `Transactions.submitAll`. The payer's token accounts are created and SOL is wrapped once per transaction for
+   * the total price of its purchases. When the payer has no wrapped SOL account, every transaction paying in SOL
+   * creates one and closes it once its purchases are paid, so the transactions do not depend on each other.
+   * @param {Array} purchases - [{ releasePublicKey, hubPublicKey }] where hubPublicKey is optional.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example const { transactions, purchases } = await NinaClient.Release.buildPurchaseMany([{ releasePublicKey }]);
+   * @returns {Object} { transactions, purchases } where purchases lists { releasePublicKey, hubPublicKey, status,
+   * transactionIndex } in order, and status is 'pending', 'sold_out' or 'not_found'.
+   */
+
+  async buildPurchaseMany(purchases, options = {}) {
+    try {
+      const payer = this.provider.wallet.publicKey
+
+      const items = purchases.map(({ releasePublicKey, hubPublicKey }) => ({
+        releasePublicKey: new anchor.web3.PublicKey(releasePublicKey),
+        hubPublicKey: hubPublicKey
+          ? new anchor.web3.PublicKey(hubPublicKey)
+          : undefined,
+        status: 'pending',
+      }))
+
+      const releaseKeys = items.map(({ releasePublicKey }) =>
+        releasePublicKey.toBase58(),
+      )
+
+      if (_.uniq(releaseKeys).length !== releaseKeys.length) {
+        throw new ValidationError('A Release can only be purchased once', {
+          field: 'releasePublicKey',
+        })
       }
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
+      const hubKeys = _.uniq(
+        items
+          .filter(({ hubPublicKey }) => hubPublicKey)
+          .map(({ hubPublicKey }) => hubPublicKey.toBase58()),
+      )
 
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
+      const releases = await this.program.account.release.fetchMultiple(
+        items.map(({ releasePublicKey }) => releasePublicKey),
       )
 
-      await getConfirmTransaction(txid, this.provider.connection)
-      await axios.get(
-        `${
-          this.http.endpoint
-        }/accounts/${this.provider.wallet.publicKey.toBase58()}/collected?txId=${txid}`,
+      const hubs = _.zipObject(
+        hubKeys,
+        await this.program.account.hub.fetchMultiple(hubKeys),
       )
-      const newRelease = await this.fetch(releasePublicKey.toBase58(), true)
 
-      return {
-        release: newRelease,
+      items.forEach((item, index) => {
+        const hubMissing =
+          Boolean(item.hubPublicKey) && !hubs[item.hubPublicKey.toBase58()]
+
+        item.release = releases[index]
+
+        if (!item.release || hubMissing) {
+          item.status = 'not_found'
+        } else if (isSoldOut(item.release)) {
+          item.status = 'sold_out'
+        }
+      })
+
+      const pending = items.filter(({ status }) => status === 'pending')
+
+      const wrappedSolMint = pending
+        .map(({ release }) => release.paymentMint)
+        .find((mint) => isSol(mint, this.cluster))
+
+      const [wrappedSolAccount, wrappedSolAccountMissing] = wrappedSolMint
+        ? await findOrCreateAssociatedTokenAccount(
+            this.provider.connection,
+            payer,
+            payer,
+            anchor.web3.SystemProgram.programId,
+            anchor.web3.SYSVAR_RENT_PUBKEY,
+            wrappedSolMint,
+          )
+        : []
+
+      for await (const item of pending) {
+        const sol = isSol(item.release.paymentMint, this.cluster)
+
+        const payerTokenAccount = sol
+          ? wrappedSolAccount
+          : await findAssociatedTokenAddress(payer, item.release.paymentMint)
+
+        const { instructions } = await this.purchaseInstructions(
+          item.releasePublicKey,
+          item.release,
+          {
+            payerTokenAccount,
+            hubPublicKey: item.hubPublicKey,
+            hub: item.hubPublicKey && hubs[item.hubPublicKey.toBase58()],
+          },
+        )
+
+        item.instructions = instructions
+        item.lamports = sol ? item.release.price : new anchor.BN(0)
+      }
+
+      // every transaction paying in SOL wraps the total price of its purchases, in a wrapped SOL account it creates
+      // and closes when the payer has none, so a failed transaction does not fail the ones after it
+      const batchInstructions = (batch) => {
+        const sol = !batch.lamports.isZero()
+        const temporaryAccount = sol && Boolean(wrappedSolAccountMissing)
+        const instructions = []
+
+        if (temporaryAccount) {
+          instructions.push(
+            createAssociatedTokenAccountIdempotentInstruction(
+              payer,
+              wrappedSolAccount,
+              payer,
+              wrappedSolMint,
+            ),
+          )
+        }
+
+        if (sol) {
+          instructions.push(
+            anchor.web3.SystemProgram.transfer({
+              fromPubkey: payer,
+              toPubkey: wrappedSolAccount,
+              lamports: batch.lamports.toNumber(),
+            }),
+            createSyncNativeInstruction(wrappedSolAccount),
+          )
+        }
+
+        instructions.push(
+          ..._.flatMap(batch.items, (item) => item.instructions),
+        )
+
+        if (temporaryAccount) {
+          instructions.push(
+            createCloseAccountInstruction(wrappedSolAccount, payer, payer),
+          )
+        }
+
+        return instructions
+      }
+
+      const batches = []
+      let batch
+
+      const withItem = (current, item) => ({
+        items: current ? current.items.concat(item) : [item],
+        lamports: current ? current.lamports.add(item.lamports) : item.lamports,
+      })
+
+      pending.forEach((item) => {
+        const candidate = withItem(batch, item)
+
+        if (!batch || this.transactions.fits(batchInstructions(candidate))) {
+          batch = candidate
+        } else {
+          batches.push(batch)
+          batch = withItem(undefined, item)
+        }
+      })
+
+      if (batch) {
+        batches.push(batch)
+      }
+
+      const transactions = []
+      for await (const [index, packed] of batches.entries()) {
+        const batchItems = packed.items
+
+        const tx = new anchor.web3.Transaction().add(
+          ...batchInstructions(packed),
+        )
+
+        batchItems.forEach((item) => {
+          item.transactionIndex = index
+        })
+
+        transactions.push(
+          await this.transactions.build(tx, {
+            accounts: {
+              releases: batchItems.map(
+                ({ releasePublicKey }) => releasePublicKey,
+              ),
+            },
+            computeBudget: options.computeBudget,
+            commitment: options.commitment,
+            onProgress: options.onProgress,
+            version: options.version,
+            lookupTables: options.lookupTables,
+            finalize: async (txid) => {
+              const collectedPath = `/accounts/${payer.toBase58()}/collected`
+
+              const paths = _.uniq(
+                _.flatMap(batchItems, ({ releasePublicKey, hubPublicKey }) => [
+                  `/releases/${releasePublicKey.toBase58()}`,
+                  hubPublicKey && `/hubs/${hubPublicKey.toBase58()}`,
+                ]),
+              ).concat(`/accounts/${payer.toBase58()}`)
+
+              await this.http.invalidate(paths)
+              await this.sync.notify(txid, `${collectedPath}?txId=${txid}`, {
+                check: {
+                  path: collectedPath,
+                  contains: batchItems[0].releasePublicKey.toBase58(),
+                },
+                invalidate: paths,
+              })
+
+              const keys = batchItems.map(({ releasePublicKey }) =>
+                releasePublicKey.toBase58(),
+              )
+
+              const fetched = await Promise.all(
+                keys.map((key) => this.fetch(key, true).catch(() => undefined)),
+              )
+
+              return {
+                releases: _.zipObject(keys, fetched),
+              }
+            },
+          }),
+        )
       }
-    } catch (error) {
-      console.warn(error)
 
       return {
-        error,
+        transactions,
+        purchases: items.map(
+          ({ releasePublicKey, hubPublicKey, status, transactionIndex }) => ({
+            releasePublicKey: releasePublicKey.toBase58(),
+            hubPublicKey: hubPublicKey ? hubPublicKey.toBase58() : undefined,
+            status,
+            transactionIndex,
+          }),
+        ),
       }
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -300,28 +994,11 @@ export default class Release {
   async initializeReleaseAndMint(hubPublicKey) {
     try {
       const releaseMint = anchor.web3.Keypair.generate()
-
-      const [release, releaseBump] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-release')),
-            releaseMint.publicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
-
+      const [release, releaseBump] = this.pda.release(releaseMint.publicKey)
       let hubRelease
 
       if (hubPublicKey) {
-        const [_hubRelease] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-release')),
-            new anchor.web3.PublicKey(hubPublicKey).toBuffer(),
-            release.toBuffer(),
-          ],
-          this.program.programId,
-        )
-
+        const [_hubRelease] = this.pda.hubRelease(hubPublicKey, release)
         hubRelease = _hubRelease
       }
 
@@ -347,14 +1024,21 @@ export default class Release {
    * @param {Number} resalePercentage - The resale percentage of the Release. When a Release is resold on an Exchange, the authority of the Release receives this percentage of the resale price.
    * @param {String} artist - The name of the artist for the Release.
    * @param {String} title - The title of the Release.
+   * @param {String} description - The description of the Release.
    * @param {String} catalogNumber - The catalog number of the Release. Similar to the categorical system that record labels use i.e. NINA001.
-   * @param {String} metadataUri - The Arweave URI of the Metadata JSON for the Release.
-   * @param {Boolean} isUsdc - A boolean determining wether the Release priced in USDC or not.
-   * @param {String} release - The PDA derived from releaseMint that will become the Release Account via initializeReleaseAndMint().
-   * @param {String} releaseBump - The Release bump from Release PDA.
-   * @param {String} releaseMint - The Release mint of the Release.
    * @param {Boolean} isOpen - A boolean determining if the Release is open or not. If a Release is open, the Release will have an unlimited number of editions.
-   * @example const release = await NinaClient.Releases.releaseInit(ninaClient, 10, 100, 20, "dBridge", "Pantheon", "TRUETO004", "https://arweave.net/797hCskMy6lndMc4rN7ovp7NfNsDCJhNdKaCSrl_G0U", true, release, releaseBump, releaseMint, false);
+   * @param {File} artworkFile - The artwork of the Release.
+   * @param {Array|File} tracks - The tracks of the Release in order, ie [{ title, file, duration, isrc, credits }] where the
+   * duration defaults to `file.meta.duration`, and isrc and credits are optional. A single audio file publishes a one track Release.
+   * @param {String} md5Digest - The md5 digest of the first track, see `getMd5FileHash`.
+   * @param {Boolean} [isUsdc = true] - A boolean determining wether the Release priced in USDC or not.
+   * @param {String} [hubPublicKey] - The public key of the Hub the Release is published through.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @example
+   * const release = await NinaClient.Release.releaseInit(10, 100, 20, "dBridge", "Pantheon", "", "TRUETO004", false, artworkFile, [
+   *   { title: "Pantheon", file: pantheonFile },
+   *   { title: "Pantheon (Dub)", file: dubFile, isrc: "GBXKF2300002", credits: "Mixed by dBridge" },
+   * ], md5Digest);
    * @returns {Object} the created Release.
    */
 
@@ -368,38 +1052,123 @@ export default class Release {
     catalogNumber,
     isOpen,
     artworkFile,
-    audioFile,
+    tracks,
     md5Digest,
     isUsdc = true,
     hubPublicKey = undefined,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildReleaseInit(
+        retailPrice,
+        amount,
+        resalePercentage,
+        artist,
+        title,
+        description,
+        catalogNumber,
+        isOpen,
+        artworkFile,
+        tracks,
+        md5Digest,
+        isUsdc,
+        hubPublicKey,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildReleaseInit
+   * @description Builds the unsigned transaction of `releaseInit`, to be signed elsewhere and sent with `Transactions.submit`.
+   * The artwork, audio and metadata are uploaded while building, and the transaction is already signed by the new Release mint.
+   * Takes the same arguments as `releaseInit`.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the release, releaseMint, and the hubRelease and hubContent when published through a Hub.
+   */
+
+  async buildReleaseInit(
+    retailPrice,
+    amount,
+    resalePercentage,
+    artist,
+    title,
+    description,
+    catalogNumber,
+    isOpen,
+    artworkFile,
+    tracks,
+    md5Digest,
+    isUsdc = true,
+    hubPublicKey = undefined,
+    options = {},
   ) {
     try {
-      const uploader = new Uploader().init({
+      const releaseTracks = normalizeTracks(tracks, title)
+      const audioFiles = releaseTracks.map(({ file }) => file)
+      const uploader = new Uploader()
+      await uploader.init({
         provider: this.provider,
-        endpoint: this.endpoint,
+        endpoint: this.http.endpoint,
         cluster: this.cluster,
       })
 
-      if (!uploader.hasBalanceForFiles([artworkFile, audioFile])) {
-        throw new Error('Insufficient upload balance for files')
+      if (releaseTracks.length === 0) {
+        throw new ValidationError('A Release needs at least one track', {
+          field: 'tracks',
+        })
+      }
+
+      if (releaseTracks.some((track) => !track.title || !track.file)) {
+        throw new ValidationError('Every track needs a title and a file', {
+          field: 'tracks',
+        })
       }
 
       if (!uploader.isValidArtworkFile(artworkFile)) {
-        throw new Error('Invalid artwork file')
+        throw new ValidationError('Invalid artwork file', {
+          field: 'artworkFile',
+        })
       }
 
-      if (!uploader.isValidAudioFile(audioFile)) {
-        throw new Error('Invalid audio files')
+      if (!uploader.isValidAudioFiles(audioFiles)) {
+        throw new ValidationError('Invalid audio files', {
+          field: 'tracks',
+        })
+      }
+
+      const hasBalance = await uploader.hasBalanceForFiles([
+        artworkFile,
+        ...audioFiles,
+      ])
+
+      // the uploader returns the error of a balance or price request instead of throwing it
+      if (hasBalance instanceof Error) {
+        throw hasBalance
+      }
+
+      if (!hasBalance) {
+        throw new ValidationError('Insufficient upload balance for files', {
+          field: 'tracks',
+        })
       }
 
       const isValidMd5Digest = await uploader.isValidMd5Digest(md5Digest)
 
       if (!isValidMd5Digest) {
-        throw new Error('Invalid md5 digest')
+        throw new ValidationError('Invalid md5 digest', {
+          field: 'md5Digest',
+        })
       }
 
       const artworkTx = await uploader.uploadFile(artworkFile)
-      const trackTx = await uploader.uploadFile(audioFile)
+      const uploadedTracks = []
+      for await (const track of releaseTracks) {
+        uploadedTracks.push({
+          ...track,
+          trackTx: await uploader.uploadFile(track.file),
+        })
+      }
 
       const { release, releaseBump, releaseMint } =
         await this.initializeReleaseAndMint()
@@ -411,23 +1180,24 @@ export default class Release {
         sellerFeeBasisPoints: resalePercentage,
         catalogNumber,
         description,
-        trackTx,
         artworkTx,
-        duration: audioFile.meta.duration,
+        tracks: uploadedTracks,
         md5Digest,
       })
 
-      const metadataTx = await uploader.uploadFile(metadataJson)
+      this.metadata.assertValid('release', metadataJson)
+
+      const metadataTx = await uploader.uploadFile(
+        new Blob([JSON.stringify(metadataJson)], { type: 'application/json' }),
+      )
+
+      const { mints } = NINA_CLIENT_IDS[this.cluster]
 
       const paymentMint = new anchor.web3.PublicKey(
-        isUsdc ? this.ids.mints.usdc : this.ids.mints.wsol,
+        isUsdc ? mints.usdc : mints.wsol,
       )
 
-      const [releaseSigner, releaseSignerBump] =
-        await anchor.web3.PublicKey.findProgramAddress(
-          [release.toBuffer()],
-          this.program.programId,
-        )
+      const [releaseSigner, releaseSignerBump] = this.pda.releaseSigner(release)
 
       const releaseMintIx = await createMintInstructions(
         this.provider,
@@ -471,7 +1241,9 @@ export default class Release {
         amountToArtistTokenAccount: new anchor.BN(0),
         amountToVaultTokenAccount: new anchor.BN(0),
         resalePercentage: new anchor.BN(resalePercentage * 10000),
-        price: new anchor.BN(uiToNative(retailPrice, paymentMint)),
+        price: new anchor.BN(
+          uiToNative(retailPrice, paymentMint, this.cluster),
+        ),
         releaseDatetime: new anchor.BN(now.getTime() / 1000),
       }
 
@@ -496,7 +1268,7 @@ export default class Release {
       const metadataData = {
         name: nameBufString,
         symbol: symbolBufString,
-        uri: `https://arweave.net/${metadataTx}`,
+        uri: this.metadata.arweaveUrl(metadataTx),
         sellerFeeBasisPoints: resalePercentage * 100,
       }
 
@@ -528,43 +1300,14 @@ export default class Release {
           new anchor.web3.PublicKey(hubPublicKey),
         )
 
-        const [hubCollaborator] =
-          await anchor.web3.PublicKey.findProgramAddress(
-            [
-              Buffer.from(
-                anchor.utils.bytes.utf8.encode('nina-hub-collaborator'),
-              ),
-              hubPublicKey.toBuffer(),
-              this.provider.wallet.publicKey.toBuffer(),
-            ],
-            this.program.programId,
-          )
-
-        const [hubSigner] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-signer')),
-            hubPublicKey.toBuffer(),
-          ],
-          this.program.programId,
-        )
-
-        const [hubRelease] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-release')),
-            hubPublicKey.toBuffer(),
-            release.toBuffer(),
-          ],
-          this.program.programId,
+        const [hubCollaborator] = this.pda.hubCollaborator(
+          hubPublicKey,
+          this.provider.wallet.publicKey,
         )
 
-        const [hubContent] = await anchor.web3.PublicKey.findProgramAddress(
-          [
-            Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-content')),
-            hubPublicKey.toBuffer(),
-            release.toBuffer(),
-          ],
-          this.program.programId,
-        )
+        const [hubSigner] = this.pda.hubSigner(hubPublicKey)
+        const [hubRelease] = this.pda.hubRelease(hubPublicKey, release)
+        const [hubContent] = this.pda.hubContent(hubPublicKey, release)
 
         const [hubWallet] = await findOrCreateAssociatedTokenAccount(
           this.provider.connection,
@@ -600,30 +1343,34 @@ export default class Release {
           .transaction()
       }
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-      tx.partialSign(releaseMint)
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-
-      const createdRelease = await this.fetch(release.toBase58())
-
-      return {
-        release: createdRelease,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        signers: [releaseMint],
+        finalize: async (txid) => {
+          this.sync.expect(txid, {
+            path: `/releases/${release.toBase58()}`,
+            contains: release.toBase58(),
+          })
+          await this.http.invalidate([
+            '/releases',
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+            hubPublicKey && `/hubs/${hubPublicKey}`,
+          ])
+
+          const createdRelease = await this.fetch(release.toBase58())
+
+          return {
+            release: createdRelease,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -631,48 +1378,61 @@ export default class Release {
    * @function closeRelease
    * @description Sets the remaining amount of a Release to 0. After this is called, the Release is no longer for sale.
    * @param {String} releasePublicKey - The public key of the Release being closed.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await NinaClient.Releases.closeRelease(ninaClient, "f9mMsu26rtMtH55zR31rHABZkkeRwTLuGhKMXZdwG9z");
    * @returns {Object} The data of the closed Release.
    */
 
-  async closeRelease(releasePublicKey) {
+  async closeRelease(releasePublicKey, options = {}) {
+    return this.transactions.submit(
+      await this.buildCloseRelease(releasePublicKey, options),
+    )
+  }
+
+  /**
+   * @function buildCloseRelease
+   * @description Builds the unsigned transaction of `closeRelease`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} releasePublicKey - The public key of the Release being closed.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize }
+   */
+
+  async buildCloseRelease(releasePublicKey, options = {}) {
     try {
       const release = await this.program.account.release.fetch(
         new anchor.web3.PublicKey(releasePublicKey),
       )
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        release: new anchor.web3.PublicKey(releasePublicKey),
+        releaseSigner: release.releaseSigner,
+        releaseMint: release.releaseMint,
+      }
+
       const tx = await this.program.methods
         .releaseCloseEdition()
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          release: new anchor.web3.PublicKey(releasePublicKey),
-          releaseSigner: release.releaseSigner,
-          releaseMint: release.releaseMint,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      const closedRelease = await this.fetch(releasePublicKey)
-
-      return {
-        release: closedRelease,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([`/releases/${releasePublicKey}`])
+          const closedRelease = await this.fetch(releasePublicKey)
+
+          return {
+            release: closedRelease,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -681,13 +1441,41 @@ export default class Release {
    * @description Collects the royalty for a Release. Royalties can be in the form of sales on a Release page, or from a Release being resold on an Exchange.
    * @param {String} recipient - The public key of the recipient receiving the royalty.
    * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example collectRoyaltyForRelease(ninaClient, "52xYtQzDaxeTGcz3WD37mAJgqVFAzR72EnGYaSHab5DQ", "HYCQ2Nk1CuMSLyusY7yYrQ3Zp221S3UnzNwSuXYmUWy7")
    * @returns {Object} the Release with Account data.
    */
 
-  async collectRoyaltyForRelease(recipient, releasePublicKey) {
+  async collectRoyaltyForRelease(recipient, releasePublicKey, options = {}) {
+    return this.transactions.submit(
+      await this.buildCollectRoyaltyForRelease(
+        recipient,
+        releasePublicKey,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildCollectRoyaltyForRelease
+   * @description Builds the unsigned transaction of `collectRoyaltyForRelease`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} recipient - The public key of the recipient receiving the royalty.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize }
+   */
+
+  async buildCollectRoyaltyForRelease(
+    recipient,
+    releasePublicKey,
+    options = {},
+  ) {
     if (!releasePublicKey || !recipient) {
-      return
+      return handleError(
+        new ValidationError('recipient and releasePublicKey are required'),
+        this.program,
+        this.legacyErrors,
+      )
     }
 
     try {
@@ -713,42 +1501,43 @@ export default class Release {
         instructions = [authorityTokenAccountIx]
       }
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        authorityTokenAccount,
+        release: new anchor.web3.PublicKey(releasePublicKey),
+        releaseMint: release.releaseMint,
+        releaseSigner: release.releaseSigner,
+        royaltyTokenAccount: release.royaltyTokenAccount,
+        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+      }
+
       const tx = await this.program.methods
         .releaseRevenueShareCollect()
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          authorityTokenAccount,
-          release: new anchor.web3.PublicKey(releasePublicKey),
-          releaseMint: release.releaseMint,
-          releaseSigner: release.releaseSigner,
-          royaltyTokenAccount: release.royaltyTokenAccount,
-          tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-        })
+        .accounts(accounts)
         .preInstructions(instructions || [])
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      const collectedRelease = await this.fetch(releasePublicKey, true)
-
-      return {
-        release: collectedRelease,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([
+            `/releases/${releasePublicKey}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+          const collectedRelease = await this.fetch(releasePublicKey, true)
+
+          return {
+            release: collectedRelease,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -758,11 +1547,39 @@ export default class Release {
    * @param {Object} client - The Nina Client.
    * @param {String} releasePublicKey - The public key of the Release.
    * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example const royalty = await NinaClient.Hub.collectRoyaltyForReleaseViaHub(ninaClient, releasePublicKey, hubPublicKey);
    * @returns { Object } the Hub Release.
    */
 
-  async collectRoyaltyForReleaseViaHub(releasePublicKey, hubPublicKey) {
+  async collectRoyaltyForReleaseViaHub(
+    releasePublicKey,
+    hubPublicKey,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildCollectRoyaltyForReleaseViaHub(
+        releasePublicKey,
+        hubPublicKey,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildCollectRoyaltyForReleaseViaHub
+   * @description Builds the unsigned transaction of `collectRoyaltyForReleaseViaHub`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {String} hubPublicKey - The public key of the Hub.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the hubRelease.
+   */
+
+  async buildCollectRoyaltyForReleaseViaHub(
+    releasePublicKey,
+    hubPublicKey,
+    options = {},
+  ) {
     try {
       releasePublicKey = new anchor.web3.PublicKey(releasePublicKey)
       hubPublicKey = new anchor.web3.PublicKey(hubPublicKey)
@@ -780,54 +1597,53 @@ export default class Release {
         release.paymentMint,
       )
 
-      const [hubRelease] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-hub-release')),
-          hubPublicKey.toBuffer(),
-          releasePublicKey.toBuffer(),
-        ],
-        this.program.programId,
-      )
+      const [hubRelease] = this.pda.hubRelease(hubPublicKey, releasePublicKey)
+
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        royaltyTokenAccount: release.royaltyTokenAccount,
+        release: releasePublicKey,
+        releaseSigner: release.releaseSigner,
+        releaseMint: release.releaseMint,
+        hub: hubPublicKey,
+        hubRelease,
+        hubSigner: hub.hubSigner,
+        hubWallet,
+        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+      }
 
       const tx = await this.program.methods
         .releaseRevenueShareCollectViaHub(hubMetadata.hub.handle)
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          royaltyTokenAccount: release.royaltyTokenAccount,
-          release: releasePublicKey,
-          releaseSigner: release.releaseSigner,
-          releaseMint: release.releaseMint,
-          hub: hubPublicKey,
-          hubRelease,
-          hubSigner: hub.hubSigner,
-          hubWallet,
-          tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      // fetchHubRelease not returning account data so using Release.fetch for now
-      const releaseAccount = await this.fetch(releasePublicKey.toBase58(), true)
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([
+            `/releases/${releasePublicKey.toBase58()}`,
+            `/hubs/${hubPublicKey.toBase58()}`,
+            `/hubs/${hubMetadata.hub.handle}`,
+          ])
+
+          // fetchHubRelease not returning account data so using Release.fetch for now
+          const releaseAccount = await this.fetch(
+            releasePublicKey.toBase58(),
+            true,
+          )
 
-      return {
-        release: releaseAccount,
-      }
+          return {
+            release: releaseAccount,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
@@ -837,11 +1653,43 @@ export default class Release {
    * @param {String} recipientAddress - The public key of the royalty recipient.
    * @param {Number} percentShare - The percentage of the royalties of a Release that the recipient will receive. For example, if the percentage is 50, the recipient will receive 50% of the royalties from the sale of a Release or Exchange.
    * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await NinaClient.Releases.addRoyaltyRecipient(ninaClient, "8sFiVz6kemckYUKRr9CRLuM8Pvkq4Lpvkx2mH3jPgGRX", 50, "HYCQ2Nk1CuMSLyusY7yYrQ3Zp221S3UnzNwSuXYmUWy7")
    * @returns {Object} the Release with Account data.
    */
 
-  async addRoyaltyRecipient(recipientAddress, percentShare, releasePublicKey) {
+  async addRoyaltyRecipient(
+    recipientAddress,
+    percentShare,
+    releasePublicKey,
+    options = {},
+  ) {
+    return this.transactions.submit(
+      await this.buildAddRoyaltyRecipient(
+        recipientAddress,
+        percentShare,
+        releasePublicKey,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildAddRoyaltyRecipient
+   * @description Builds the unsigned transaction of `addRoyaltyRecipient`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} recipientAddress - The public key of the royalty recipient.
+   * @param {Number} percentShare - The percentage of the royalties of a Release that the recipient will receive.
+   * @param {String} releasePublicKey - The public key of the Release.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize }
+   */
+
+  async buildAddRoyaltyRecipient(
+    recipientAddress,
+    percentShare,
+    releasePublicKey,
+    options = {},
+  ) {
     try {
       releasePublicKey = new anchor.web3.PublicKey(releasePublicKey)
 
@@ -880,94 +1728,67 @@ export default class Release {
         instructions.push(authorityTokenAccountIx)
       }
 
+      const accounts = {
+        authority: this.provider.wallet.publicKey,
+        authorityTokenAccount,
+        release: releasePublicKey,
+        releaseMint: new anchor.web3.PublicKey(release.releaseMint),
+        releaseSigner: new anchor.web3.PublicKey(release.releaseSigner),
+        royaltyTokenAccount: release.royaltyTokenAccount,
+        newRoyaltyRecipient: recipientPublicKey,
+        newRoyaltyRecipientTokenAccount,
+        tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
+        rent: anchor.web3.SYSVAR_RENT_PUBKEY,
+      }
+
       const tx = await this.program.methods
         .releaseRevenueShareTransfer(new anchor.BN(updateAmount))
-        .accounts({
-          authority: this.provider.wallet.publicKey,
-          authorityTokenAccount,
-          release: releasePublicKey,
-          releaseMint: new anchor.web3.PublicKey(release.releaseMint),
-          releaseSigner: new anchor.web3.PublicKey(release.releaseSigner),
-          royaltyTokenAccount: release.royaltyTokenAccount,
-          newRoyaltyRecipient: recipientPublicKey,
-          newRoyaltyRecipientTokenAccount,
-          tokenProgram: anchor.utils.token.TOKEN_PROGRAM_ID,
-          rent: anchor.web3.SYSVAR_RENT_PUBKEY,
-        })
+        .accounts(accounts)
         .preInstructions(instructions)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-      const updatedRelease = await this.fetch(releasePublicKey, true)
-
-      return {
-        release: updatedRelease,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async () => {
+          await this.http.invalidate([
+            `/releases/${releasePublicKey.toBase58()}`,
+            `/accounts/${recipientPublicKey.toBase58()}`,
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+          ])
+          const updatedRelease = await this.fetch(releasePublicKey, true)
+
+          return {
+            release: updatedRelease,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
 
+  /**
+   * @function createReleaseMetadataJson
+   * @description Creates the metadata JSON of a Release, see `Metadata.buildRelease`.
+   * @param {Object} params
+   * @param {Array} [params.tracks] - The uploaded tracks in order, ie [{ trackTx, title, duration, isrc, credits }].
+   * A single track can be passed as `trackTx` and `duration` instead.
+   * @returns {Object} the metadata JSON, where `properties.duration` is the total duration of the tracks.
+   */
+
   createReleaseMetadataJson({
-    releasePublicKey,
-    artist,
-    title,
-    sellerFeeBasisPoints,
-    catalogNumber,
-    description,
     trackTx,
-    artworkTx,
+    title,
     duration,
-    md5Digest,
+    tracks = [{ trackTx, title, duration }],
+    ...params
   }) {
-    const name = `${artist} - ${title}`
-
-    const metadata = {
-      name,
-      symbol: catalogNumber,
-      description,
-      seller_fee_basis_points: sellerFeeBasisPoints,
-      image: `https://www.arweave.net/${artworkTx}`,
-      animation_url: `https://www.arweave.net/${trackTx}?ext=mp3`,
-      external_url: `https://ninaprotocol.com/${releasePublicKey}`,
-      attributes: [],
-      collection: {
-        name: `${artist} - ${title} (Nina)`,
-        family: 'Nina',
-      },
-      properties: {
-        artist,
-        title,
-        date: new Date(),
-        md5Digest,
-        files: [
-          {
-            uri: `https://www.arweave.net/${trackTx}`,
-            track: 1,
-            track_title: title,
-            duration,
-            type: 'audio/mpeg',
-          },
-        ],
-        category: 'audio',
-      },
-    }
-
-    return metadata
+    return this.metadata.buildRelease({ ...params, title, tracks })
   }
 
   async getMd5FileHash(file, progress) {
@@ -1,14 +1,27 @@
 import * as anchor from '@project-serum/anchor'
-import { getConfirmTransaction } from '../utils'
+import { handleError } from '../errors'
+import { paginate } from '../paginate'
 
 /**
  * @module Subscription
  */
 export default class Subscription {
-  constructor({ http, program, provider }) {
+  constructor({
+    http,
+    program,
+    pda,
+    provider,
+    transactions,
+    sync,
+    legacyErrors,
+  }) {
     this.http = http
     this.program = program
+    this.pda = pda
+    this.transactions = transactions
+    this.sync = sync
     this.provider = provider
+    this.legacyErrors = legacyErrors
   }
 
   /**
@@ -32,6 +45,22 @@ export default class Subscription {
     )
   }
 
+  /**
+   * @function iterateAll
+   * @description Iterates over all of the Subscriptions on Nina, fetching pages as they are consumed.
+   * @param {Object} [options = {limit: 20, offset: 0, sort: 'desc', prefetch: false}] - Pagination options. `prefetch` requests the next page while the current one is consumed.
+   * @param {Boolean} [withAccountData = false] - Include full on-chain Subscription accounts.
+   * @example for await (const subscription of NinaClient.Subscription.iterateAll()) {}
+   * @returns {AsyncIterator} an async iterator of all of the Subscriptions on Nina.
+   */
+  iterateAll(options = {}, withAccountData = false) {
+    return paginate(
+      (pagination) => this.fetchAll(pagination, withAccountData),
+      'subscriptions',
+      options,
+    )
+  }
+
   /**
    * @function fetch
    * @description Fetches a subscription.
@@ -53,129 +82,182 @@ export default class Subscription {
    * @description Subscribes to, or "follows" an Account.
    * @param {String} subscribeToAccount - The public key of the Account to be subscribed to.
    * @param {String} hubHandle - If present, the Hub handle being subscribed to.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await subscriptionSubscribe(ninaClient, "8sFiVz6kemckYUKRr9CRLuM8Pvkq4Lpvkx2mH3jPgGRX")
    * @returns {Object} the Subscription data.
    */
 
-  async subscriptionSubscribe(subscribeToAccount, hubHandle) {
+  async subscriptionSubscribe(subscribeToAccount, hubHandle, options = {}) {
+    return this.transactions.submit(
+      await this.buildSubscriptionSubscribe(
+        subscribeToAccount,
+        hubHandle,
+        options,
+      ),
+    )
+  }
+
+  /**
+   * @function buildSubscriptionSubscribe
+   * @description Builds the unsigned transaction of `subscriptionSubscribe`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} subscribeToAccount - The public key of the Account to be subscribed to.
+   * @param {String} hubHandle - If present, the Hub handle being subscribed to.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the subscription.
+   */
+
+  async buildSubscriptionSubscribe(
+    subscribeToAccount,
+    hubHandle,
+    options = {},
+  ) {
     try {
       subscribeToAccount = new anchor.web3.PublicKey(subscribeToAccount)
 
-      const [subscription] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-subscription')),
-          this.provider.wallet.publicKey.toBuffer(),
-          subscribeToAccount.toBuffer(),
-        ],
-        this.program.programId,
+      const [subscription] = this.pda.subscription(
+        this.provider.wallet.publicKey,
+        subscribeToAccount,
       )
 
+      const accounts = {
+        payer: this.provider.wallet.publicKey,
+        from: this.provider.wallet.publicKey,
+        subscription,
+        to: subscribeToAccount,
+        systemProgram: anchor.web3.SystemProgram.programId,
+      }
+
       let tx
 
       if (hubHandle) {
         tx = await this.program.methods
           .subscriptionSubscribeHub(hubHandle)
-          .accounts({
-            payer: this.provider.wallet.publicKey,
-            from: this.provider.wallet.publicKey,
-            subscription,
-            to: subscribeToAccount,
-            systemProgram: anchor.web3.SystemProgram.programId,
-          })
+          .accounts(accounts)
           .transaction()
       } else {
         tx = await this.program.methods
           .subscriptionSubscribeAccount()
-          .accounts({
-            payer: this.provider.wallet.publicKey,
-            from: this.provider.wallet.publicKey,
-            subscription,
-            to: subscribeToAccount,
-            systemProgram: anchor.web3.SystemProgram.programId,
-          })
+          .accounts(accounts)
           .transaction()
       }
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          this.sync.expect(txid, {
+            path: `/subscriptions/${subscription.toBase58()}`,
+            contains: subscription.toBase58(),
+          })
+          await this.http.invalidate([
+            '/subscriptions',
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+            `/accounts/${subscribeToAccount.toBase58()}`,
+            hubHandle && `/hubs/${hubHandle}`,
+            `/hubs/${subscribeToAccount.toBase58()}`,
+          ])
 
-      await getConfirmTransaction(txid, this.provider.connection)
-      const subscriptionData = await fetch(subscription.toBase58(), txid)
+          const subscriptionData = await this.indexSubscription(
+            subscription,
+            txid,
+          )
 
-      return {
-        subscription: subscriptionData,
-      }
+          return {
+            subscription: subscriptionData,
+          }
+        },
+      })
     } catch (error) {
-      console.warn(error)
-
-      return {
-        error,
-      }
+      return handleError(error, this.program, this.legacyErrors)
     }
   }
   /**
    * @function subscriptionUnsubscribe
    * @description Unsubscribes from, or "unfollows" an Account.
    * @param {String} unsubscribeAccount - The public key of the Account to unsubscribe from.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
    * @example await subscriptionUnsubscribe(ninaClient, "8sFiVz6kemckYUKRr9CRLuM8Pvkq4Lpvkx2mH3jPgGRX")
    * @returns {Object} the Subscription data.
    */
 
-  async subscriptionUnsubscribe(unsubscribeAccount) {
+  async subscriptionUnsubscribe(unsubscribeAccount, options = {}) {
+    return this.transactions.submit(
+      await this.buildSubscriptionUnsubscribe(unsubscribeAccount, options),
+    )
+  }
+
+  /**
+   * @function buildSubscriptionUnsubscribe
+   * @description Builds the unsigned transaction of `subscriptionUnsubscribe`, to be signed elsewhere and sent with `Transactions.submit`.
+   * @param {String} unsubscribeAccount - The public key of the Account to unsubscribe from.
+   * @param {Object} [options = {}] - Transaction options, ie { computeBudget, commitment, onProgress, version }.
+   * @returns {Object} { transaction, accounts, finalize } where accounts includes the subscription.
+   */
+
+  async buildSubscriptionUnsubscribe(unsubscribeAccount, options = {}) {
     try {
       unsubscribeAccount = new anchor.web3.PublicKey(unsubscribeAccount)
 
-      const [subscription] = await anchor.web3.PublicKey.findProgramAddress(
-        [
-          Buffer.from(anchor.utils.bytes.utf8.encode('nina-subscription')),
-          this.provider.wallet.publicKey.toBuffer(),
-          unsubscribeAccount.toBuffer(),
-        ],
-        this.program.programId,
+      const [subscription] = this.pda.subscription(
+        this.provider.wallet.publicKey,
+        unsubscribeAccount,
       )
 
+      const accounts = {
+        payer: this.provider.wallet.publicKey,
+        from: this.provider.wallet.publicKey,
+        subscription,
+        to: unsubscribeAccount,
+        systemProgram: anchor.web3.SystemProgram.programId,
+      }
+
       const tx = await this.program.methods
         .subscriptionUnsubscribe()
-        .accounts({
-          payer: this.provider.wallet.publicKey,
-          from: this.provider.wallet.publicKey,
-          subscription,
-          to: unsubscribeAccount,
-          systemProgram: anchor.web3.SystemProgram.programId,
-        })
+        .accounts(accounts)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => {
+          await this.http.invalidate([
+            '/subscriptions',
+            `/accounts/${this.provider.wallet.publicKey.toBase58()}`,
+            `/accounts/${unsubscribeAccount.toBase58()}`,
+            `/hubs/${unsubscribeAccount.toBase58()}`,
+          ])
 
-      await getConfirmTransaction(txid, this.provider.connection)
+          const subscriptionData = await this.indexSubscription(
+            subscription,
+            txid,
+          )
 
-      const subscriptionData = await fetch(subscription.toBase58(), txid)
+          return {
+            subscription: subscriptionData,
+          }
+        },
+      })
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
 
-      return {
-        subscription: subscriptionData,
-      }
+  // fetching a Subscription with the transaction that changed it lets the indexer record it
+  async indexSubscription(subscription, txid) {
+    try {
+      return await this.fetch(subscription.toBase58(), false, txid)
     } catch (error) {
-      console.warn(error)
+      console.warn('subscription indexing error: ', error)
 
-      return {
-        error,
-      }
+      return undefined
     }
   }
 }
@@ -103,7 +103,11 @@ export default class Uploader {
     try {
       const price = await this.bundlr.getPrice(1000000)
 
-      return nativeToUi(price, NINA_CLIENT_IDS[this.cluster].mints.wsol)
+      return nativeToUi(
+        price,
+        NINA_CLIENT_IDS[this.cluster].mints.wsol,
+        this.cluster,
+      )
     } catch (error) {
       return error
     }
@@ -111,7 +115,11 @@ export default class Uploader {
 
   async fund(amount) {
     try {
-      const value = uiToNative(amount, NINA_CLIENT_IDS[this.cluster].mints.wsol)
+      const value = uiToNative(
+        amount,
+        NINA_CLIENT_IDS[this.cluster].mints.wsol,
+        this.cluster,
+      )
 
       if (!value) return
 
@@ -130,7 +138,11 @@ export default class Uploader {
 
   async withdraw(amount) {
     try {
-      const value = uiToNative(amount, NINA_CLIENT_IDS[this.cluster].mints.wsol)
+      const value = uiToNative(
+        amount,
+        NINA_CLIENT_IDS[this.cluster].mints.wsol,
+        this.cluster,
+      )
 
       if (!value) return
 
@@ -149,15 +161,15 @@ export default class Uploader {
 
   async hasBalanceForFiles(files) {
     try {
-      const pricePerMb = await this.getPricePerMb()
       const totalSize = files.reduce((acc, file) => acc + file.size, 0)
-      const totalCost = totalSize * pricePerMb
+      // both the price and the balance are in lamports
+      const totalCost = await this.bundlr.getPrice(totalSize)
 
-      const balance = await this.getBalanceForPublicKey(
+      const balance = await this.bundlr.getBalance(
         this.provider.wallet.publicKey.toString(),
       )
 
-      return balance >= totalCost
+      return balance.gte(totalCost)
     } catch (error) {
       console.warn('Bundlr hasBalanceForFiles error: ', error)
 
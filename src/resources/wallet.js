@@ -1,17 +1,20 @@
 import * as anchor from '@project-serum/anchor'
-import { getAccount } from '@solana/spl-token'
+import { TokenAccountNotFoundError, getAccount } from '@solana/spl-token'
 import axios from 'axios'
+import { ValidationError, handleError } from '../errors'
 import {
   NINA_CLIENT_IDS,
+  findAssociatedTokenAddress,
   findOrCreateAssociatedTokenAccount,
-  getConfirmTransaction,
   uiToNative,
 } from '../utils'
 
 export default class Wallet {
-  constructor({ provider, cluster }) {
+  constructor({ provider, transactions, cluster, legacyErrors }) {
     this.cluster = cluster
     this.provider = provider
+    this.transactions = transactions
+    this.legacyErrors = legacyErrors
   }
 
   async getSolPrice() {
@@ -69,7 +72,41 @@ export default class Wallet {
     return solUsdcBalanceResult
   }
 
-  async sendUsdc(amount, destination) {
+  async getTokenBalanceForPublicKey(publicKey, mint) {
+    const tokenAccount = await findAssociatedTokenAddress(
+      new anchor.web3.PublicKey(publicKey),
+      new anchor.web3.PublicKey(mint),
+    )
+
+    try {
+      const account = await getAccount(this.provider.connection, tokenAccount)
+
+      return Number(account.amount)
+    } catch (error) {
+      if (error instanceof TokenAccountNotFoundError) {
+        return 0
+      }
+
+      throw error
+    }
+  }
+
+  async sendUsdc(amount, destination, options = {}) {
+    const result = await this.transactions.submit(
+      await this.buildSendUsdc(amount, destination, options),
+    )
+
+    if (result.error) {
+      return {
+        success: false,
+        ...result,
+      }
+    }
+
+    return result
+  }
+
+  async buildSendUsdc(amount, destination, options = {}) {
     try {
       const destinationInfo = await this.provider.connection.getAccountInfo(
         new anchor.web3.PublicKey(destination),
@@ -107,8 +144,9 @@ export default class Wallet {
       }
 
       if (!isSystemAccount && !isUsdcTokenAccount) {
-        throw new Error(
+        throw new ValidationError(
           'Destination is not a valid Solana address or USDC account',
+          { field: 'destination' },
         )
       }
 
@@ -153,41 +191,40 @@ export default class Wallet {
         instructions.push(toUsdcTokenAccountIx)
       }
 
+      const accounts = {
+        source: fromUsdcTokenAccount,
+        destination: toUsdcTokenAccount,
+        authority: this.provider.wallet.publicKey,
+      }
+
       const tx = await tokenProgram.methods
         .transfer(
           new anchor.BN(
-            uiToNative(amount, NINA_CLIENT_IDS[this.cluster].mints.usdc),
+            uiToNative(
+              amount,
+              NINA_CLIENT_IDS[this.cluster].mints.usdc,
+              this.cluster,
+            ),
           ),
         )
-        .accounts({
-          source: fromUsdcTokenAccount,
-          destination: toUsdcTokenAccount,
-          authority: this.provider.wallet.publicKey,
-        })
+        .accounts(accounts)
         .preInstructions(instructions)
         .transaction()
 
-      tx.recentBlockhash = (
-        await this.provider.connection.getRecentBlockhash()
-      ).blockhash
-      tx.feePayer = this.provider.wallet.publicKey
-
-      const txid = await this.provider.wallet.sendTransaction(
-        tx,
-        this.provider.connection,
-      )
-
-      await getConfirmTransaction(txid, this.provider.connection)
-
-      return {
-        success: true,
-        txid,
-      }
+      return await this.transactions.build(tx, {
+        accounts,
+        computeBudget: options.computeBudget,
+        commitment: options.commitment,
+        onProgress: options.onProgress,
+        version: options.version,
+        lookupTables: options.lookupTables,
+        finalize: async (txid) => ({
+          success: true,
+          txid,
+        }),
+      })
     } catch (error) {
-      return {
-        success: false,
-        error,
-      }
+      return handleError(error, undefined, this.legacyErrors)
     }
   }
 
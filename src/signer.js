@@ -0,0 +1,171 @@
+import * as anchor from '@project-serum/anchor'
+import nacl from 'tweetnacl'
+import { ValidationError } from './errors'
+
+/**
+ * @module Signer
+ * @description Normalizes the wallets accepted by the client - a Keypair, an Anchor Wallet or a
+ * wallet-adapter - behind the interface the SDK signs and sends transactions with. Wallets without
+ * `sendTransaction` are routed through `signTransaction` and `connection.sendRawTransaction`.
+ */
+
+const isVersionedTransaction = (transaction) =>
+  transaction instanceof anchor.web3.VersionedTransaction
+
+const keypairForWallet = (wallet) => {
+  if (wallet instanceof anchor.web3.Keypair) {
+    return wallet
+  }
+
+  // anchor.Wallet holds its Keypair as `payer`
+  if (wallet && wallet.payer instanceof anchor.web3.Keypair) {
+    return wallet.payer
+  }
+
+  return undefined
+}
+
+/** Class wrapping a Keypair, Anchor Wallet or wallet-adapter */
+export default class Signer {
+  /**
+   * @param {Keypair|Object} [wallet = {}] - A Keypair, an Anchor Wallet or a wallet-adapter.
+   * An empty object creates a read-only client.
+   */
+  constructor(wallet = {}) {
+    this.wallet = wallet
+    this.keypair = keypairForWallet(wallet)
+  }
+
+  get publicKey() {
+    if (this.keypair) {
+      return this.keypair.publicKey
+    }
+
+    return this.wallet.publicKey
+  }
+
+  get supportedTransactionVersions() {
+    if (this.keypair) {
+      return ['legacy', 0]
+    }
+
+    return this.wallet.supportedTransactionVersions
+  }
+
+  /**
+   * @function supportsTransactionVersion
+   * @description Wallet-adapters declare the transaction versions they can sign, wallets that do not
+   * are assumed to only sign legacy transactions.
+   * @param {String|Number} version - 'legacy' or 0.
+   * @returns {Boolean}
+   */
+  supportsTransactionVersion(version) {
+    const versions = this.supportedTransactionVersions
+
+    if (!versions) {
+      return version === 'legacy'
+    }
+
+    return Array.isArray(versions)
+      ? versions.includes(version)
+      : versions.has(version)
+  }
+
+  get canSignTransaction() {
+    return (
+      Boolean(this.keypair) || typeof this.wallet.signTransaction === 'function'
+    )
+  }
+
+  assertCanSign(method) {
+    if (!this.keypair && typeof this.wallet[method] !== 'function') {
+      throw new ValidationError(`The wallet does not support ${method}`, {
+        field: 'wallet',
+      })
+    }
+  }
+
+  async signTransaction(transaction) {
+    if (this.keypair) {
+      if (isVersionedTransaction(transaction)) {
+        transaction.sign([this.keypair])
+      } else {
+        transaction.partialSign(this.keypair)
+      }
+
+      return transaction
+    }
+
+    this.assertCanSign('signTransaction')
+
+    return this.wallet.signTransaction(transaction)
+  }
+
+  async signAllTransactions(transactions) {
+    if (
+      !this.keypair &&
+      typeof this.wallet.signAllTransactions === 'function'
+    ) {
+      return this.wallet.signAllTransactions(transactions)
+    }
+
+    const signedTransactions = []
+    for await (const transaction of transactions) {
+      signedTransactions.push(await this.signTransaction(transaction))
+    }
+
+    return signedTransactions
+  }
+
+  /**
+   * @function sendTransaction
+   * @description Signs and sends a transaction, with the wallet-adapter's `sendTransaction` when available.
+   * @param {Transaction|VersionedTransaction} transaction - The transaction, with its fee payer, blockhash and any additional signatures set.
+   * @param {Connection} connection - The connection to send the transaction with.
+   * @param {Object} [options = {}] - Send options, ie { skipPreflight, maxRetries }.
+   * @returns {String} the transaction id.
+   */
+  async sendTransaction(transaction, connection, options = {}) {
+    if (!this.keypair && typeof this.wallet.sendTransaction === 'function') {
+      return this.wallet.sendTransaction(transaction, connection, options)
+    }
+
+    const signedTransaction = await this.signTransaction(transaction)
+
+    return connection.sendRawTransaction(signedTransaction.serialize(), options)
+  }
+
+  /**
+   * @function sendAllTransactions
+   * @description Signs every transaction at once, so the user approves a multi-transaction flow a single time,
+   * then sends them in order.
+   * @param {Array} transactions - The transactions to sign and send.
+   * @param {Connection} connection - The connection to send the transactions with.
+   * @param {Object} [options = {}] - Send options, ie { skipPreflight, maxRetries }.
+   * @returns {Array} the transaction ids.
+   */
+  async sendAllTransactions(transactions, connection, options = {}) {
+    const signedTransactions = await this.signAllTransactions(transactions)
+    const txids = []
+    for await (const signedTransaction of signedTransactions) {
+      txids.push(
+        await connection.sendRawTransaction(
+          signedTransaction.serialize(),
+          options,
+        ),
+      )
+    }
+
+    return txids
+  }
+
+  async signMessage(message) {
+    if (this.keypair) {
+      return nacl.sign.detached(message, this.keypair.secretKey)
+    }
+
+    this.assertCanSign('signMessage')
+
+    return this.wallet.signMessage(message)
+  }
+}
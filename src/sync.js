@@ -0,0 +1,256 @@
+import axios from 'axios'
+import Promise from 'promise'
+import { MemoryCache } from './cache'
+import { IndexerError, toNinaError } from './errors'
+
+/**
+ * @module Sync
+ * @description Tells the Nina indexer about confirmed transactions. Write methods record a notification in an outbox
+ * before calling the indexer, and a failed call is retried with exponential backoff instead of failing the write,
+ * which already succeeded on-chain. With a persistent `store` (ie a StorageCache) notifications that have not gone
+ * through survive a reload and are retried when the client is initialized.
+ *
+ * `waitUntilIndexed` resolves once the indexer serves the content created by a transaction. Write methods register how
+ * to tell, either with their notification or with `expect` for content the indexer picks up without one.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/** Class recording and retrying indexer notifications */
+export default class Sync {
+  /**
+   * @param {Object} config
+   * @param {Object} config.http - The Http client, used for its endpoint, API key and cache.
+   * @param {Object} [config.store] - A cache adapter dedicated to the outbox, ie new StorageCache(localStorage, { prefix: 'nina-sync:' }).
+   * Defaults to an in-memory store.
+   * @param {Number} [config.retries = 8] - Retries of a notification before it is left for `flush`.
+   * @param {Number} [config.minTimeout = 1000] - Milliseconds before the first retry.
+   * @param {Number} [config.maxTimeout = 60000] - Maximum milliseconds between retries.
+   * @param {Number} [config.factor = 2] - The exponential backoff factor.
+   */
+  constructor({
+    http,
+    store = undefined,
+    retries = 8,
+    minTimeout = 1000,
+    maxTimeout = 60000,
+    factor = 2,
+  }) {
+    this.http = http
+    this.store = store || new MemoryCache()
+    this.retries = retries
+    this.minTimeout = minTimeout
+    this.maxTimeout = maxTimeout
+    this.factor = factor
+    this.checks = new MemoryCache({ maxEntries: 1000 })
+    this.timers = {}
+  }
+
+  get params() {
+    return this.http.apiKey ? { api_key: this.http.apiKey } : undefined
+  }
+
+  /**
+   * @function notify
+   * @description Records a notification for a confirmed transaction and sends it. Resolves once the first attempt
+   * completes, and never rejects: failed attempts are retried in the background.
+   * @param {String} txid - The confirmed transaction.
+   * @param {String} path - The indexer path notified, ie `/hubs/${hub}/tx/${txid}`.
+   * @param {Object} [options = {}]
+   * @param {Object} [options.check] - How `waitUntilIndexed` tells the content was indexed: { path, contains }, where
+   * contains is a string the response of path includes once indexed, ie the public key of a purchased Release.
+   * @param {Array} [options.invalidate] - Cached paths invalidated when a retry succeeds.
+   * @returns {Boolean} whether the indexer was notified.
+   */
+  async notify(txid, path, { check, invalidate } = {}) {
+    // null records a notification without a check, indexed once the indexer received it
+    this.checks.set(txid, check || null)
+
+    const entry = {
+      txid,
+      path,
+      check,
+      invalidate,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: undefined,
+    }
+
+    await this.store.set(txid, entry)
+
+    return this.attempt(entry)
+  }
+
+  /**
+   * @function expect
+   * @description Registers how `waitUntilIndexed` tells the content created by a transaction was indexed, for writes
+   * the indexer picks up without a notification, ie a new Release.
+   * @param {String} txid - The confirmed transaction.
+   * @param {Object} check - { path, contains }, where contains is a string the response of path includes once indexed.
+   */
+  expect(txid, check) {
+    this.checks.set(txid, check)
+  }
+
+  async attempt(entry) {
+    this.clearTimer(entry.txid)
+
+    try {
+      await axios.get(`${this.http.endpoint}${entry.path}`, {
+        params: this.params,
+      })
+      await this.store.delete(entry.txid)
+
+      if (entry.attempts > 0 && entry.invalidate) {
+        await this.http.invalidate(entry.invalidate)
+      }
+
+      return true
+    } catch (error) {
+      const attempts = entry.attempts + 1
+
+      const delay = Math.min(
+        this.maxTimeout,
+        this.minTimeout * Math.pow(this.factor, attempts - 1),
+      )
+
+      const failed = {
+        ...entry,
+        attempts,
+        nextAttemptAt: attempts > this.retries ? undefined : Date.now() + delay,
+        lastError: toNinaError(error).message,
+      }
+
+      await this.store.set(entry.txid, failed)
+
+      if (failed.nextAttemptAt) {
+        this.schedule(failed, delay)
+      }
+
+      return false
+    }
+  }
+
+  schedule(entry, delay) {
+    this.timers[entry.txid] = setTimeout(() => {
+      delete this.timers[entry.txid]
+      this.attempt(entry).catch((error) =>
+        console.warn('indexer sync error: ', error),
+      )
+    }, delay)
+
+    // pending retries do not keep Node scripts running
+    if (this.timers[entry.txid].unref) {
+      this.timers[entry.txid].unref()
+    }
+  }
+
+  clearTimer(txid) {
+    if (this.timers[txid]) {
+      clearTimeout(this.timers[txid])
+      delete this.timers[txid]
+    }
+  }
+
+  /**
+   * @function pending
+   * @description Lists the notifications the indexer has not received yet.
+   * @example const pending = await Nina.sync.pending()
+   * @returns {Array} [{ txid, path, attempts, createdAt, nextAttemptAt, lastError }] where nextAttemptAt is undefined
+   * once the retries are exhausted.
+   */
+  async pending() {
+    const keys = await this.store.keys()
+    const entries = await Promise.all(keys.map((key) => this.store.get(key)))
+
+    return entries.filter(Boolean)
+  }
+
+  /**
+   * @function flush
+   * @description Sends every pending notification now, including those whose retries are exhausted.
+   * Called when the client is initialized, to send notifications persisted before a reload.
+   * @returns {Array} the notifications still pending.
+   */
+  async flush() {
+    const entries = await this.pending()
+    await Promise.all(entries.map((entry) => this.attempt(entry)))
+
+    return this.pending()
+  }
+
+  async isIndexed(txid) {
+    const entry = await this.store.get(txid)
+
+    if (entry) {
+      const notified = await this.attempt(entry)
+
+      if (!notified) {
+        return false
+      }
+    }
+
+    const check = entry ? entry.check : this.checks.get(txid)
+
+    if (!check) {
+      return Boolean(entry) || check === null
+    }
+
+    try {
+      const { data } = await axios.get(`${this.http.endpoint}${check.path}`, {
+        params: this.params,
+      })
+
+      return JSON.stringify(data).includes(check.contains)
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * @function waitUntilIndexed
+   * @description Polls the indexer until the content created by a transaction appears, sending its pending
+   * notification first. Rejects with an IndexerError for a transaction no write method of this client registered,
+   * ie one sent before a reload whose notification went through, or a write without a check such as a cancelled
+   * Exchange.
+   * @param {String} txid - The confirmed transaction.
+   * @param {Object} [options = {}]
+   * @param {Number} [options.timeout = 60000] - Milliseconds to wait before rejecting with an IndexerError.
+   * @param {Number} [options.interval = 2000] - Milliseconds between checks.
+   * @example
+   * const { txid } = await Nina.Release.purchase(releasePublicKey)
+   * await Nina.sync.waitUntilIndexed(txid)
+   * @returns {Boolean} true once indexed.
+   */
+  async waitUntilIndexed(txid, { timeout = 60000, interval = 2000 } = {}) {
+    const deadline = Date.now() + timeout
+    const entry = await this.store.get(txid)
+
+    if (!entry && this.checks.get(txid) === undefined) {
+      throw new IndexerError(
+        `No indexer check is registered for transaction ${txid}`,
+        { url: this.http.endpoint },
+      )
+    }
+
+    const poll = async () => {
+      if (await this.isIndexed(txid)) {
+        return true
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw new IndexerError(
+          `Transaction ${txid} was not indexed within ${timeout}ms`,
+          { url: this.http.endpoint },
+        )
+      }
+
+      await sleep(interval)
+
+      return poll()
+    }
+
+    return poll()
+  }
+}
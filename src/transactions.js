@@ -0,0 +1,842 @@
+import * as anchor from '@project-serum/anchor'
+import { AccountLayout } from '@solana/spl-token'
+import _ from 'lodash'
+import Promise from 'promise'
+import { MemoryCache } from './cache'
+import {
+  InsufficientFundsError,
+  RpcError,
+  ValidationError,
+  handleError,
+  toNinaError,
+} from './errors'
+import { decimalsForMint, nativeToUi } from './utils'
+
+/**
+ * @module Transactions
+ * @description Splits write methods in two steps. Every write method has a `build*` variant, ie
+ * `Release.buildPurchase`, returning the unsigned transaction with the accounts it derived, so it can be
+ * signed elsewhere (a custodial backend, a multisig). `submit` then sends the transaction, confirms it,
+ * invalidates the cached indexer responses, notifies the indexer and returns what the write method returns.
+ * `simulate` previews a built transaction without sending it.
+ *
+ * Once a transaction is confirmed the write succeeded, so an indexer or fetch call failing after it does not throw:
+ * the result is { txid, accounts, warning } where warning is the NinaError of the failed step.
+ *
+ * Transactions get ComputeBudgetProgram instructions from the client `computeBudget` option, which each write
+ * method can override: `units` sets the compute unit limit and `microLamports` the priority fee per compute unit.
+ * With `microLamports: 'auto'` the fee is estimated from the recent prioritization fees paid to lock the
+ * writable accounts of the transaction.
+ *
+ * Transactions are built as v0 VersionedTransactions when the wallet supports them and address lookup tables are
+ * available, ie the per-hub tables created with `Hub.createLookupTable` that Hub purchases and posts look up, or
+ * when the `transactionVersion` option is 0. Wallets that only sign legacy transactions get legacy transactions.
+ *
+ * Sent transactions are confirmed by the client's Confirmation: when the transaction is signed before it is sent
+ * (by the client wallet or elsewhere), it is rebroadcast until it is confirmed or its blockhash expires.
+ */
+
+const DEFAULT_PRIORITY_FEE_PERCENTILE = 75
+// without a compute unit limit, each instruction may use the default limit, up to the transaction maximum
+const DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION = 200000
+const MAX_COMPUTE_UNITS = 1400000
+const MICRO_LAMPORTS_PER_LAMPORT = 1000000
+const TRANSACTION_VERSIONS = ['auto', 'legacy', 0]
+// offsets in an address lookup table account of its authority and of its first address
+const LOOKUP_TABLE_AUTHORITY_OFFSET = 22
+const LOOKUP_TABLE_ADDRESSES_OFFSET = 56
+
+const isVersionedTransaction = (transaction) =>
+  transaction instanceof anchor.web3.VersionedTransaction
+
+const messageForTransaction = (transaction) => {
+  if (isVersionedTransaction(transaction)) {
+    return transaction.message
+  }
+
+  return transaction.compileMessage()
+}
+
+const writableAccountsForMessage = (message, addressLookupTableAccounts) => {
+  const accountKeys = _.flatten(
+    message.getAccountKeys({ addressLookupTableAccounts }).keySegments(),
+  )
+
+  return accountKeys.filter((key, index) => message.isAccountWritable(index))
+}
+
+// accounts returned by simulateTransaction are not parsed by web3
+const toAccountInfo = (account) => {
+  if (!account) {
+    return null
+  }
+
+  return {
+    lamports: account.lamports,
+    owner: new anchor.web3.PublicKey(account.owner),
+    data: Buffer.from(account.data[0], 'base64'),
+  }
+}
+
+const decodeTokenAccount = (accountInfo) => {
+  if (
+    !accountInfo ||
+    !accountInfo.owner.equals(anchor.utils.token.TOKEN_PROGRAM_ID) ||
+    accountInfo.data.length !== AccountLayout.span
+  ) {
+    return undefined
+  }
+
+  return AccountLayout.decode(accountInfo.data)
+}
+
+const writableAccountsForInstructions = (instructions) =>
+  _.uniqBy(
+    _.flatMap(instructions, (instruction) =>
+      instruction.keys.filter((key) => key.isWritable).map((key) => key.pubkey),
+    ),
+    (publicKey) => publicKey.toBase58(),
+  )
+
+const hasComputeBudgetInstructions = (transaction) =>
+  transaction.instructions.some((instruction) =>
+    instruction.programId.equals(anchor.web3.ComputeBudgetProgram.programId),
+  )
+
+const instructionsForTransaction = (
+  transaction,
+  addressLookupTableAccounts,
+) => {
+  if (isVersionedTransaction(transaction)) {
+    return anchor.web3.TransactionMessage.decompile(transaction.message, {
+      addressLookupTableAccounts,
+    }).instructions
+  }
+
+  return transaction.instructions
+}
+
+const SYSTEM_CREATE_ACCOUNT = 0
+const SYSTEM_TRANSFER = 2
+
+// the lamports the payer sends to accounts created by the System program or the Associated Token program, and the
+// lamports it transfers, ie to wrap SOL; accounts created inside the Nina Program are not included
+const lamportsSpentByInstructions = (
+  instructions,
+  payer,
+  existingAccounts,
+  tokenAccountRent,
+) =>
+  instructions.reduce(
+    (spent, { programId, keys, data }) => {
+      if (!keys[0] || !keys[0].pubkey.equals(payer)) {
+        return spent
+      }
+
+      if (
+        programId.equals(anchor.web3.SystemProgram.programId) &&
+        data.length >= 12
+      ) {
+        const type = data.readUInt32LE(0)
+        const lamports = new anchor.BN(data.slice(4, 12), 'le').toNumber()
+
+        if (type === SYSTEM_CREATE_ACCOUNT) {
+          return { ...spent, rent: spent.rent + lamports }
+        }
+
+        if (type === SYSTEM_TRANSFER) {
+          return { ...spent, transferred: spent.transferred + lamports }
+        }
+      }
+
+      if (
+        programId.equals(anchor.utils.token.ASSOCIATED_PROGRAM_ID) &&
+        !existingAccounts[keys[1].pubkey.toBase58()]
+      ) {
+        return { ...spent, rent: spent.rent + tokenAccountRent }
+      }
+
+      return spent
+    },
+    { rent: 0, transferred: 0 },
+  )
+
+const isNewAccount = (before, after) =>
+  (!before || before.lamports === 0) && after && after.lamports > 0
+
+/** Class preparing and submitting the transactions built by write methods */
+export default class Transactions {
+  /**
+   * @param {Object} config
+   * @param {Object} config.program - The Anchor program.
+   * @param {Object} config.provider - The Anchor provider.
+   * @param {Object} config.confirmation - The Confirmation waiting for sent transactions.
+   * @param {String} config.cluster - mainnet or devnet.
+   * @param {Object} [config.computeBudget = {}] - The default compute budget: { units, microLamports, percentile, maxMicroLamports }.
+   * @param {String|Number} [config.transactionVersion = 'auto'] - 'legacy', 0, or 'auto' to build v0 transactions when lookup tables are available.
+   * @param {Object} [config.lookupTables = {}] - Lookup table addresses keyed by Hub public key, skipping their lookup.
+   * @param {Boolean} [config.legacyErrors = false] - Return `{ error }` instead of throwing.
+   */
+  constructor({
+    program,
+    provider,
+    confirmation,
+    cluster,
+    computeBudget = {},
+    transactionVersion = 'auto',
+    lookupTables = {},
+    legacyErrors = false,
+  }) {
+    this.program = program
+    this.provider = provider
+    this.confirmation = confirmation
+    this.cluster = cluster
+    this.computeBudget = computeBudget
+    this.transactionVersion = transactionVersion
+    this.legacyErrors = legacyErrors
+    this.lookupTableAccounts = new MemoryCache({ maxEntries: 100 })
+    this.hubLookupTables = new MemoryCache({ maxEntries: 1000 })
+    _.forEach(lookupTables, (lookupTable, hub) =>
+      this.registerHubLookupTable(hub, lookupTable),
+    )
+  }
+
+  get connection() {
+    return this.provider.connection
+  }
+
+  /**
+   * @function build
+   * @description Sets the fee payer and a recent blockhash on a transaction and adds the signatures
+   * of generated accounts, ie a new Release mint. Called by the `build*` methods of the resources.
+   * @param {Transaction} transaction - The transaction built by the Anchor program.
+   * @param {Object} [options = {}]
+   * @param {Object} [options.accounts = {}] - The accounts derived while building, ie { release, hubRelease, hubContent }.
+   * @param {Array} [options.signers = []] - Keypairs of generated accounts that sign the transaction.
+   * @param {Object} [options.computeBudget] - Overrides the client compute budget, ie { units: 200000, microLamports: 'auto' }.
+   * @param {String} [options.commitment] - The commitment to confirm at, defaults to the client setting.
+   * @param {Function} [options.onProgress] - Called with { status, txid, slot } while the transaction is confirmed.
+   * @param {String|Number} [options.version] - 'legacy', 0 or 'auto', defaults to the client setting.
+   * @param {Array} [options.lookupTables = []] - Addresses of the lookup tables a v0 transaction is compiled with.
+   * @param {Function} options.finalize - Called with the txid once confirmed, returns the result of the write method.
+   * @returns {Object} { transaction, accounts, lastValidBlockHeight, lookupTableAccounts, commitment, onProgress, finalize }
+   * where transaction is a VersionedTransaction when built as v0.
+   */
+  async build(
+    transaction,
+    {
+      accounts = {},
+      signers = [],
+      computeBudget,
+      commitment,
+      onProgress,
+      version,
+      lookupTables = [],
+      finalize,
+    } = {},
+  ) {
+    if (!hasComputeBudgetInstructions(transaction)) {
+      const computeBudgetInstructions = await this.computeBudgetInstructions(
+        transaction,
+        computeBudget,
+      )
+
+      transaction.instructions.unshift(...computeBudgetInstructions)
+    }
+
+    const lookupTableAccounts = this.supportsVersionedTransactions(version)
+      ? await this.getLookupTableAccounts(lookupTables)
+      : []
+
+    const { blockhash, lastValidBlockHeight } =
+      await this.connection.getLatestBlockhash()
+
+    let builtTransaction = transaction
+
+    if (this.transactionVersionFor(lookupTableAccounts, version) === 0) {
+      const message = new anchor.web3.TransactionMessage({
+        payerKey: this.provider.wallet.publicKey,
+        recentBlockhash: blockhash,
+        instructions: transaction.instructions,
+      }).compileToV0Message(lookupTableAccounts)
+
+      builtTransaction = new anchor.web3.VersionedTransaction(message)
+
+      if (signers.length > 0) {
+        builtTransaction.sign(signers)
+      }
+    } else {
+      transaction.recentBlockhash = blockhash
+      transaction.feePayer = this.provider.wallet.publicKey
+      signers.forEach((signer) => transaction.partialSign(signer))
+    }
+
+    return {
+      transaction: builtTransaction,
+      accounts,
+      lastValidBlockHeight,
+      lookupTableAccounts,
+      commitment,
+      onProgress,
+      finalize,
+    }
+  }
+
+  /**
+   * @function submit
+   * @description Sends a built transaction and performs the steps the write method runs after sending:
+   * confirming, invalidating the cache, notifying the indexer and re-fetching the result.
+   * @param {Object} built - The result of a `build*` method.
+   * @param {Transaction|VersionedTransaction} [signedTransaction] - The transaction signed elsewhere. When omitted, the client wallet signs and sends `built.transaction`.
+   * @example
+   * const built = await NinaClient.Release.buildPurchase(releasePublicKey)
+   * const signed = await custodian.sign(built.transaction)
+   * const { release, txid } = await NinaClient.Transactions.submit(built, signed)
+   * @returns {Object} the result of the write method, along with the txid, or { txid, accounts, warning } when the
+   * transaction was confirmed but a step after it failed, ie re-fetching the result from the indexer.
+   */
+  async submit(built, signedTransaction = undefined) {
+    // a build that failed with the legacyErrors option returns { error }
+    if (built.error) {
+      return built
+    }
+
+    try {
+      return await this.sendAndFinalize(built, signedTransaction)
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  /**
+   * @function submitAll
+   * @description Signs built transactions at once, so the user approves them with a single wallet prompt, then sends
+   * and confirms them in order. A failed transaction does not stop the ones after it.
+   * @param {Array} builtTransactions - The results of `build*` methods.
+   * @param {Array} [signedTransactions] - The transactions signed elsewhere, in the same order.
+   * @example const results = await NinaClient.Transactions.submitAll([builtPurchase, builtRepost])
+   * @returns {Array} [{ txid, result, error }] in the order of builtTransactions, where error is a NinaError. A
+   * transaction confirmed before a later step failed has no error, and its result carries the warning.
+   */
+  async submitAll(builtTransactions, signedTransactions = undefined) {
+    try {
+      let signed = signedTransactions
+
+      if (!signed) {
+        signed = await this.provider.wallet.signAllTransactions(
+          builtTransactions.map(({ transaction }) => transaction),
+        )
+      }
+
+      const results = []
+      for await (const [index, built] of builtTransactions.entries()) {
+        try {
+          const result = await this.sendAndFinalize(built, signed[index])
+          results.push({ txid: result.txid, result, error: undefined })
+        } catch (error) {
+          const ninaError = toNinaError(error, this.program)
+          results.push({
+            txid: ninaError.txid,
+            result: undefined,
+            error: ninaError,
+          })
+        }
+      }
+
+      return results
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+
+  async sendAndFinalize(built, signedTransaction = undefined) {
+    const { txid, rawTransaction } = await this.send(
+      built.transaction,
+      signedTransaction,
+    )
+
+    await this.confirmation.confirm(txid, {
+      rawTransaction,
+      lastValidBlockHeight: built.lastValidBlockHeight,
+      commitment: built.commitment,
+      onProgress: built.onProgress,
+    })
+
+    let result
+
+    try {
+      result = await built.finalize(txid)
+    } catch (error) {
+      // the transaction landed, so the write is reported as done along with what failed after it
+      const warning = toNinaError(error, this.program)
+      console.warn('finalize error: ', warning)
+
+      return { txid, accounts: built.accounts, warning }
+    }
+
+    return _.isPlainObject(result) ? { ...result, txid } : result
+  }
+
+  /**
+   * @function fits
+   * @description Checks whether instructions fit in a single legacy transaction along with the compute budget instructions,
+   * ie to pack as many purchases per transaction as possible.
+   * @param {Array} instructions - The instructions of the transaction.
+   * @returns {Boolean}
+   */
+  fits(instructions) {
+    const transaction = new anchor.web3.Transaction().add(
+      anchor.web3.ComputeBudgetProgram.setComputeUnitLimit({ units: 0 }),
+      anchor.web3.ComputeBudgetProgram.setComputeUnitPrice({
+        microLamports: 0,
+      }),
+      ...instructions,
+    )
+
+    transaction.feePayer = this.provider.wallet.publicKey
+    // any blockhash serializes to 32 bytes, so a placeholder gives the exact size
+    transaction.recentBlockhash = anchor.web3.PublicKey.default.toBase58()
+
+    const message = transaction.compileMessage()
+    const signatures = message.header.numRequiredSignatures
+    const size = message.serialize().length + 1 + signatures * 64
+
+    return size <= anchor.web3.PACKET_DATA_SIZE
+  }
+
+  supportsVersionedTransactions(version = this.transactionVersion) {
+    if (!TRANSACTION_VERSIONS.includes(version)) {
+      throw new ValidationError(
+        `Transaction version must be one of ${TRANSACTION_VERSIONS.join(', ')}`,
+        { field: 'version' },
+      )
+    }
+
+    return (
+      version !== 'legacy' && this.provider.wallet.supportsTransactionVersion(0)
+    )
+  }
+
+  transactionVersionFor(
+    lookupTableAccounts,
+    version = this.transactionVersion,
+  ) {
+    if (!this.supportsVersionedTransactions(version)) {
+      return 'legacy'
+    }
+
+    return version === 0 || lookupTableAccounts.length > 0 ? 0 : 'legacy'
+  }
+
+  // tables that are missing or deactivated are left out, so the transaction is built without them
+  async getLookupTableAccounts(lookupTables) {
+    const lookupTableAccounts = await Promise.all(
+      lookupTables.map(async (lookupTable) => {
+        const address = new anchor.web3.PublicKey(lookupTable)
+        const cached = this.lookupTableAccounts.get(address.toBase58())
+
+        if (cached) {
+          return cached
+        }
+
+        const { value } = await this.connection.getAddressLookupTable(address)
+
+        if (value) {
+          this.lookupTableAccounts.set(address.toBase58(), value)
+        }
+
+        return value
+      }),
+    )
+
+    return lookupTableAccounts.filter(
+      (lookupTableAccount) =>
+        lookupTableAccount && lookupTableAccount.isActive(),
+    )
+  }
+
+  registerHubLookupTable(hubPublicKey, lookupTable) {
+    this.hubLookupTables.set(
+      new anchor.web3.PublicKey(hubPublicKey).toBase58(),
+      new anchor.web3.PublicKey(lookupTable),
+    )
+  }
+
+  /**
+   * @function findHubLookupTable
+   * @description Finds the lookup table created for a Hub with `Hub.createLookupTable`: a table controlled by the
+   * Hub authority whose first address is the Hub. Results, including misses, are memoized.
+   * @param {String|PublicKey} hubPublicKey - The public key of the Hub.
+   * @param {String|PublicKey} authority - The public key of the Hub authority.
+   * @example const lookupTable = await NinaClient.Transactions.findHubLookupTable(hubPublicKey, hub.authority)
+   * @returns {PublicKey} the lookup table, or undefined when the Hub has none.
+   */
+  async findHubLookupTable(hubPublicKey, authority) {
+    const hub = new anchor.web3.PublicKey(hubPublicKey).toBase58()
+    const cached = this.hubLookupTables.get(hub)
+
+    if (cached !== undefined) {
+      return cached || undefined
+    }
+
+    const lookupTables = await this.connection.getProgramAccounts(
+      anchor.web3.AddressLookupTableProgram.programId,
+      {
+        dataSlice: { offset: 0, length: 0 },
+        filters: [
+          {
+            memcmp: {
+              offset: LOOKUP_TABLE_AUTHORITY_OFFSET,
+              bytes: new anchor.web3.PublicKey(authority).toBase58(),
+            },
+          },
+          { memcmp: { offset: LOOKUP_TABLE_ADDRESSES_OFFSET, bytes: hub } },
+        ],
+      },
+    )
+
+    const lookupTable = lookupTables.length > 0 ? lookupTables[0].pubkey : null
+    this.hubLookupTables.set(hub, lookupTable)
+
+    return lookupTable || undefined
+  }
+
+  /**
+   * @function lookupTablesForHub
+   * @description Resolves the lookup tables a transaction through a Hub is built with: the `lookupTables` option when
+   * set, otherwise the Hub's table when the transaction can be built as v0.
+   * @param {String|PublicKey} hubPublicKey - The public key of the Hub.
+   * @param {String|PublicKey} authority - The public key of the Hub authority.
+   * @param {Object} [options = {}] - The options of the write method, ie { version, lookupTables }.
+   * @returns {Array} the lookup table addresses.
+   */
+  async lookupTablesForHub(hubPublicKey, authority, options = {}) {
+    if (options.lookupTables) {
+      return options.lookupTables
+    }
+
+    if (!this.supportsVersionedTransactions(options.version)) {
+      return []
+    }
+
+    const lookupTable = await this.findHubLookupTable(hubPublicKey, authority)
+
+    return lookupTable ? [lookupTable] : []
+  }
+
+  async computeBudgetInstructions(transaction, computeBudget = {}) {
+    const {
+      units,
+      microLamports,
+      percentile = DEFAULT_PRIORITY_FEE_PERCENTILE,
+      maxMicroLamports,
+    } = { ...this.computeBudget, ...computeBudget }
+
+    const instructions = []
+
+    if (units) {
+      instructions.push(
+        anchor.web3.ComputeBudgetProgram.setComputeUnitLimit({ units }),
+      )
+    }
+
+    let price = microLamports
+
+    if (microLamports === 'auto') {
+      price = await this.estimatePriorityFee(
+        writableAccountsForInstructions(transaction.instructions),
+        { percentile, maxMicroLamports },
+      )
+    }
+
+    if (price) {
+      instructions.push(
+        anchor.web3.ComputeBudgetProgram.setComputeUnitPrice({
+          microLamports: price,
+        }),
+      )
+    }
+
+    return instructions
+  }
+
+  /**
+   * @function priorityFeeLamports
+   * @description The priority fee in lamports a transaction pays with the client compute budget, ie to tell whether
+   * a wallet can pay for a transaction before it is built. Without a compute unit limit, the fee is charged for the
+   * default limit of every instruction.
+   * @param {Array} accounts - The writable accounts of the transaction, used to estimate an 'auto' fee.
+   * @param {Number} instructionCount - The number of instructions of the transaction, besides the compute budget ones.
+   * @param {Object} [computeBudget = {}] - Overrides the client compute budget, ie { units: 200000, microLamports: 'auto' }.
+   * @example const lamports = await NinaClient.Transactions.priorityFeeLamports([releasePublicKey], 3)
+   * @returns {Number} the priority fee in lamports.
+   */
+  async priorityFeeLamports(accounts, instructionCount, computeBudget = {}) {
+    const { units, microLamports, percentile, maxMicroLamports } = {
+      ...this.computeBudget,
+      ...computeBudget,
+    }
+
+    let price = microLamports
+
+    if (microLamports === 'auto') {
+      price = await this.estimatePriorityFee(accounts, {
+        percentile,
+        maxMicroLamports,
+      })
+    }
+
+    if (!price) {
+      return 0
+    }
+
+    const limit =
+      units ||
+      Math.min(
+        instructionCount * DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION,
+        MAX_COMPUTE_UNITS,
+      )
+
+    const microLamportsTotal = limit * price
+
+    return Math.ceil(microLamportsTotal / MICRO_LAMPORTS_PER_LAMPORT)
+  }
+
+  /**
+   * @function estimatePriorityFee
+   * @description Estimates the priority fee needed to land a transaction writing to the given accounts,
+   * from the fees paid by transactions that locked them in recent slots.
+   * @param {Array} accounts - The writable accounts of the transaction.
+   * @param {Object} [options = {}]
+   * @param {Number} [options.percentile = 75] - The percentile of the recent fees to pay.
+   * @param {Number} [options.maxMicroLamports] - Caps the estimate.
+   * @example const microLamports = await NinaClient.Transactions.estimatePriorityFee([releasePublicKey])
+   * @returns {Number} the priority fee in micro-lamports per compute unit.
+   */
+  async estimatePriorityFee(
+    accounts,
+    {
+      percentile = DEFAULT_PRIORITY_FEE_PERCENTILE,
+      maxMicroLamports = undefined,
+    } = {},
+  ) {
+    const fees = (await this.getRecentPrioritizationFees(accounts))
+      .map(({ prioritizationFee }) => prioritizationFee)
+      .sort((a, b) => a - b)
+
+    if (fees.length === 0) {
+      return 0
+    }
+
+    const rank = Math.ceil(fees.length * percentile * 0.01)
+    const index = Math.max(0, rank - 1)
+    const estimate = fees[Math.min(index, fees.length - 1)]
+
+    return maxMicroLamports === undefined
+      ? estimate
+      : Math.min(estimate, maxMicroLamports)
+  }
+
+  async getRecentPrioritizationFees(accounts) {
+    const lockedWritableAccounts = accounts.map(
+      (account) => new anchor.web3.PublicKey(account),
+    )
+
+    if (typeof this.connection.getRecentPrioritizationFees === 'function') {
+      return this.connection.getRecentPrioritizationFees({
+        lockedWritableAccounts,
+      })
+    }
+
+    // the web3.js bundled with Anchor predates getRecentPrioritizationFees
+    const response = await this.connection._rpcRequest(
+      'getRecentPrioritizationFees',
+      [lockedWritableAccounts.map((account) => account.toBase58())],
+    )
+
+    if (response.error) {
+      throw new RpcError(
+        `failed to get recent prioritization fees: ${response.error.message}`,
+      )
+    }
+
+    return response.result
+  }
+
+  // signs before sending when the wallet can, so the signed transaction can be rebroadcast
+  async send(transaction, signedTransaction = undefined) {
+    let signed = signedTransaction
+
+    if (!signed && this.provider.wallet.canSignTransaction) {
+      signed = await this.provider.wallet.signTransaction(transaction)
+    }
+
+    if (!signed) {
+      const txid = await this.provider.wallet.sendTransaction(
+        transaction,
+        this.connection,
+      )
+
+      return { txid, rawTransaction: undefined }
+    }
+
+    const rawTransaction = signed.serialize()
+
+    const txid = await this.connection.sendRawTransaction(rawTransaction, {
+      maxRetries: 0,
+    })
+
+    return { txid, rawTransaction }
+  }
+
+  /**
+   * @function simulate
+   * @description Simulates a built transaction against the current state of the cluster without sending it.
+   * The lamports needed are read from the payer's balance in the simulation, so they include the fee, the rent
+   * of created accounts (ie the hubContent, an Exchange or an associated token account) and any SOL wrapped.
+   * A payer who cannot pay fails the simulation, in which case the lamports needed are estimated from the
+   * instructions: the fee, the SOL transferred and the rent of the accounts created by the System and Associated
+   * Token programs, but not of the accounts created by the Nina Program.
+   * @param {Object} built - The result of a `build*` method.
+   * @example
+   * const preview = await NinaClient.Transactions.simulate(await NinaClient.Release.buildPurchase(releasePublicKey))
+   * if (!preview.hasSufficientBalance) {}
+   * @returns {Object} { success, error, unitsConsumed, logs, fee, rent, lamportsNeeded, balance, hasSufficientBalance, solDelta, tokenDeltas }
+   * where error is a NinaError decoded from the simulation logs, and tokenDeltas lists the changes to the payer's token accounts
+   * as { account, mint, delta, uiDelta }. Amounts are in lamports or the token's native units, uiDelta is set for USDC and wrapped SOL.
+   */
+  async simulate(built) {
+    if (built.error) {
+      return built
+    }
+
+    try {
+      const { transaction } = built
+      const payer = this.provider.wallet.publicKey
+      const message = messageForTransaction(transaction)
+
+      const writableAccounts = writableAccountsForMessage(
+        message,
+        built.lookupTableAccounts,
+      )
+
+      const addresses = writableAccounts.map((account) => account.toBase58())
+
+      const [preAccounts, { value: fee }, { value: simulation }] =
+        await Promise.all([
+          this.connection.getMultipleAccountsInfo(writableAccounts),
+          this.connection.getFeeForMessage(message),
+          isVersionedTransaction(transaction)
+            ? this.connection.simulateTransaction(transaction, {
+                sigVerify: false,
+                replaceRecentBlockhash: true,
+                accounts: { encoding: 'base64', addresses },
+              })
+            : this.connection.simulateTransaction(
+                transaction,
+                undefined,
+                writableAccounts,
+              ),
+        ])
+
+      const payerIndex = addresses.indexOf(payer.toBase58())
+
+      const balance = preAccounts[payerIndex]
+        ? preAccounts[payerIndex].lamports
+        : 0
+
+      const result = {
+        success: !simulation.err,
+        error: undefined,
+        unitsConsumed: simulation.unitsConsumed,
+        logs: simulation.logs || [],
+        fee,
+        rent: undefined,
+        lamportsNeeded: undefined,
+        balance,
+        hasSufficientBalance: undefined,
+        solDelta: undefined,
+        tokenDeltas: [],
+      }
+
+      if (simulation.err) {
+        result.error = toNinaError(
+          {
+            message: `Transaction simulation failed: ${JSON.stringify(
+              simulation.err,
+            )}`,
+            logs: result.logs,
+          },
+          this.program,
+        )
+
+        if (result.error instanceof InsufficientFundsError) {
+          const tokenAccountRent =
+            await this.connection.getMinimumBalanceForRentExemption(
+              AccountLayout.span,
+            )
+
+          const { rent, transferred } = lamportsSpentByInstructions(
+            instructionsForTransaction(transaction, built.lookupTableAccounts),
+            payer,
+            _.zipObject(addresses, preAccounts),
+            tokenAccountRent,
+          )
+
+          result.rent = rent
+          result.lamportsNeeded = (fee || 0) + rent + transferred
+          result.hasSufficientBalance = false
+        }
+
+        return result
+      }
+
+      const postAccounts = (simulation.accounts || []).map(toAccountInfo)
+      result.rent = 0
+      writableAccounts.forEach((account, index) => {
+        const before = preAccounts[index]
+        const after = postAccounts[index]
+
+        if (isNewAccount(before, after)) {
+          result.rent += after.lamports
+        }
+
+        const tokenBefore = decodeTokenAccount(before)
+        const tokenAfter = decodeTokenAccount(after)
+        const token = tokenAfter || tokenBefore
+
+        if (!token || !token.owner.equals(payer)) {
+          return
+        }
+
+        const delta =
+          Number(tokenAfter ? tokenAfter.amount : 0) -
+          Number(tokenBefore ? tokenBefore.amount : 0)
+
+        if (delta !== 0) {
+          result.tokenDeltas.push({
+            account: account.toBase58(),
+            mint: token.mint.toBase58(),
+            delta,
+            uiDelta:
+              decimalsForMint(token.mint, this.cluster) === undefined
+                ? undefined
+                : nativeToUi(delta, token.mint, this.cluster),
+          })
+        }
+      })
+
+      const payerAfter = postAccounts[payerIndex]
+
+      if (payerAfter) {
+        result.solDelta = payerAfter.lamports - balance
+        result.lamportsNeeded = Math.max(0, -result.solDelta)
+        result.hasSufficientBalance = balance >= result.lamportsNeeded
+      }
+
+      return result
+    } catch (error) {
+      return handleError(error, this.program, this.legacyErrors)
+    }
+  }
+}
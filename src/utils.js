@@ -45,6 +45,10 @@ const NinaProgramActionCost = {
   SUBSCRIPTION_SUBSCRIBE_ACCOUNT: 0.00168236,
 }
 
+/**
+ * @deprecated The costs are estimates that ignore priority fees and associated token account creation.
+ * Use `Transactions.simulate` on the result of a `build*` method for the exact lamports needed.
+ */
 export const hasBalanceForAction = (action, balance) => {
   const cost = NinaProgramActionCost[action]
 
@@ -176,6 +180,10 @@ export const findOrCreateAssociatedTokenAccount = async (
   return [associatedTokenAddress, undefined]
 }
 
+/**
+ * @deprecated Gives up after a few seconds, while transactions often land later. Use `Confirmation.confirm`,
+ * which waits until the blockhash of the transaction expires.
+ */
 export const getConfirmTransaction = async (txid, connection) => {
   const res = await promiseRetry(
     async (retry) => {
@@ -226,7 +234,7 @@ export const uiToNative = (amount, mint, cluster) =>
   Math.round(amount * Math.pow(10, decimalsForMint(mint, cluster)))
 
 export const decodeNonEncryptedByteArray = (byteArray) =>
-  new TextDecoder().decode(new Uint8Array(byteArray)).replaceAll(/\\u0000/g, '')
+  new TextDecoder().decode(new Uint8Array(byteArray)).replaceAll('\u0000', '')
 
 export const createMintInstructions = async (
   provider,
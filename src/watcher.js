@@ -0,0 +1,443 @@
+import * as anchor from '@project-serum/anchor'
+import _ from 'lodash'
+import { MemoryCache } from './cache'
+import { ValidationError, toNinaError } from './errors'
+
+/**
+ * @module Watcher
+ * @description Subscribes to changes of Nina accounts and to Nina program logs.
+ *
+ * In 'websocket' mode updates are pushed by `connection.onAccountChange` / `connection.onLogs`, and a
+ * reconciliation check runs every `reconcileInterval`: when it finds a change the websocket did not deliver,
+ * the change is emitted and the subscription is recreated. In 'polling' mode, for RPCs without websocket
+ * support, the same check runs every `pollInterval` instead.
+ */
+
+const MODES = ['websocket', 'polling']
+
+const accountInfoEquals = (a, b) => {
+  if (!a || !b) {
+    return !a && !b
+  }
+
+  return a.lamports === b.lamports && a.data.equals(b.data)
+}
+
+// Names of the instructions executed by a program, read from the "Instruction: <Name>" logs
+// Anchor emits while that program is at the top of the invocation stack
+const instructionsFromLogs = (logs, programId) => {
+  const stack = []
+  const instructions = []
+  const lines = logs || []
+  lines.forEach((log) => {
+    const invoke = log.match(/^Program (\w+) invoke \[\d+\]$/)
+
+    if (invoke) {
+      stack.push(invoke[1])
+
+      return
+    }
+
+    if (/^Program \w+ (success|failed)/.test(log)) {
+      stack.pop()
+
+      return
+    }
+
+    const instruction = log.match(/^Program log: Instruction: (\w+)$/)
+
+    if (instruction && stack[stack.length - 1] === programId) {
+      instructions.push(instruction[1])
+    }
+  })
+
+  return instructions
+}
+
+const accountKeysForTransaction = (transaction) => {
+  const { message } = transaction.transaction
+
+  const keys = (message.staticAccountKeys || message.accountKeys).map((key) =>
+    key.toBase58(),
+  )
+
+  const loadedAddresses = transaction.meta.loadedAddresses
+
+  if (loadedAddresses) {
+    loadedAddresses.writable
+      .concat(loadedAddresses.readonly)
+      .forEach((key) => keys.push(key.toBase58()))
+  }
+
+  return keys
+}
+
+/** Class creating subscriptions to Nina accounts and program logs */
+export default class Watcher {
+  /**
+   * @param {Object} config
+   * @param {Object} config.program - The Anchor program.
+   * @param {Object} config.provider - The Anchor provider.
+   * @param {String} [config.mode = 'websocket'] - 'websocket' or 'polling'.
+   * @param {Number} [config.pollInterval = 10000] - Milliseconds between checks in polling mode.
+   * @param {Number} [config.reconcileInterval = 30000] - Milliseconds between reconciliation checks in websocket mode.
+   * @param {String} [config.commitment = 'confirmed'] - The commitment updates are reported at.
+   */
+  constructor({
+    program,
+    provider,
+    mode = 'websocket',
+    pollInterval = 10000,
+    reconcileInterval = 30000,
+    commitment = 'confirmed',
+  }) {
+    this.program = program
+    this.provider = provider
+    this.mode = mode
+    this.pollInterval = pollInterval
+    this.reconcileInterval = reconcileInterval
+    this.commitment = commitment
+  }
+
+  get connection() {
+    return this.provider.connection
+  }
+
+  resolveOptions(options) {
+    const resolved = {
+      mode: this.mode,
+      pollInterval: this.pollInterval,
+      reconcileInterval: this.reconcileInterval,
+      commitment: this.commitment,
+      onError: (error) => console.warn('watcher error: ', error),
+      ...options,
+    }
+
+    if (!MODES.includes(resolved.mode)) {
+      throw new ValidationError(
+        `Watch mode must be one of ${MODES.join(', ')}`,
+        { field: 'mode' },
+      )
+    }
+
+    resolved.interval =
+      resolved.mode === 'polling'
+        ? resolved.pollInterval
+        : resolved.reconcileInterval
+
+    return resolved
+  }
+
+  /**
+   * @function watchAccount
+   * @description Calls `callback(account, context)` whenever a Nina account changes, with the account decoded
+   * by the Anchor coder and passed through `options.parse`. `account` is null once the account is closed.
+   * @param {String|PublicKey} publicKey - The public key of the account.
+   * @param {String} accountType - The Anchor account namespace, ie 'release'.
+   * @param {Function} callback - Called with (account, context) on every change.
+   * @param {Object} [options = {}]
+   * @param {Function} [options.parse] - Formats the decoded account, ie Formatter.parseReleaseAccountData.
+   * @param {String} [options.mode] - 'websocket' or 'polling', defaults to the client setting.
+   * @param {Number} [options.pollInterval] - Milliseconds between checks in polling mode.
+   * @param {Function} [options.onError] - Called with a NinaError when a check fails.
+   * @example const { unsubscribe } = NinaClient.Watcher.watchAccount(publicKey, 'release', (release) => {})
+   * @returns {Object} { unsubscribe }
+   */
+  watchAccount(publicKey, accountType, callback, options = {}) {
+    const { mode, interval, commitment, onError, parse } =
+      this.resolveOptions(options)
+
+    const address = new anchor.web3.PublicKey(publicKey)
+    const accountName = _.upperFirst(accountType)
+
+    const state = {
+      active: true,
+      initialized: false,
+      accountInfo: null,
+      slot: -1,
+      notified: false,
+      subscriptionId: undefined,
+    }
+
+    const emit = (accountInfo, context, notify = true) => {
+      if (!state.active || context.slot < state.slot) {
+        return
+      }
+
+      state.slot = context.slot
+
+      if (
+        state.initialized &&
+        accountInfoEquals(accountInfo, state.accountInfo)
+      ) {
+        return
+      }
+
+      state.initialized = true
+      state.accountInfo = accountInfo
+
+      if (!notify) {
+        return
+      }
+
+      if (!accountInfo || accountInfo.lamports === 0) {
+        callback(null, context)
+
+        return
+      }
+
+      try {
+        const account = this.program.coder.accounts.decode(
+          accountName,
+          accountInfo.data,
+        )
+
+        callback(parse ? parse(account) : account, context)
+      } catch (error) {
+        onError(toNinaError(error, this.program))
+      }
+    }
+
+    const subscribe = () => {
+      state.subscriptionId = this.connection.onAccountChange(
+        address,
+        (accountInfo, context) => {
+          state.notified = true
+          emit(accountInfo, context)
+        },
+        commitment,
+      )
+    }
+
+    const unsubscribeSocket = () => {
+      if (state.subscriptionId !== undefined) {
+        this.connection
+          .removeAccountChangeListener(state.subscriptionId)
+          .catch(() => undefined)
+        state.subscriptionId = undefined
+      }
+    }
+
+    const check = async () => {
+      try {
+        const { context, value } =
+          await this.connection.getAccountInfoAndContext(address, commitment)
+
+        const missed =
+          state.initialized &&
+          !state.notified &&
+          !accountInfoEquals(value, state.accountInfo)
+
+        state.notified = false
+        emit(value, context, state.initialized)
+
+        // the websocket did not deliver a change, so it is assumed to have dropped
+        if (missed && mode === 'websocket' && state.active) {
+          unsubscribeSocket()
+          subscribe()
+        }
+      } catch (error) {
+        onError(toNinaError(error, this.program))
+      }
+    }
+
+    if (mode === 'websocket') {
+      subscribe()
+    }
+
+    check()
+    const timer = setInterval(check, interval)
+
+    return {
+      unsubscribe: () => {
+        state.active = false
+        clearInterval(timer)
+        unsubscribeSocket()
+      },
+    }
+  }
+
+  /**
+   * @function watchProgramLogs
+   * @description Calls `callback(event, context)` for every transaction executing the Nina program, where
+   * event is `{ signature, instructions, logs, err }` and instructions lists the Nina instructions executed.
+   * @param {Function} callback - Called with (event, context) for every matching transaction.
+   * @param {Object} [options = {}]
+   * @param {Array} [options.instructions] - Only report transactions executing one of these instructions, ie ['releasePurchase'].
+   * @param {Array} [options.accounts] - Only report transactions referencing one of these accounts. Requires fetching each transaction.
+   * @param {Boolean} [options.includeFailed = false] - Also report failed transactions.
+   * @param {String} [options.mode] - 'websocket' or 'polling', defaults to the client setting.
+   * @param {Number} [options.pollInterval] - Milliseconds between checks in polling mode.
+   * @param {Function} [options.onError] - Called with a NinaError when a check fails.
+   * @example const { unsubscribe } = NinaClient.Watcher.watchProgramLogs((event) => {}, { instructions: ['releasePurchase'] })
+   * @returns {Object} { unsubscribe }
+   */
+  watchProgramLogs(callback, options = {}) {
+    const {
+      mode,
+      interval,
+      commitment,
+      onError,
+      instructions,
+      accounts,
+      includeFailed = false,
+    } = this.resolveOptions(options)
+
+    const programId = this.program.programId.toBase58()
+    const instructionFilter = (instructions || []).map(_.upperFirst)
+
+    const accountFilter = (accounts || []).map((account) =>
+      new anchor.web3.PublicKey(account).toBase58(),
+    )
+
+    const seen = new MemoryCache({ maxEntries: 1000 })
+
+    const state = {
+      active: true,
+      lastSignature: undefined,
+      notified: false,
+      subscriptionId: undefined,
+    }
+
+    const fetchTransaction = (signature) =>
+      this.connection.getTransaction(signature, {
+        commitment,
+        maxSupportedTransactionVersion: 0,
+      })
+
+    const handle = async (
+      { signature, err, logs },
+      context,
+      transaction = undefined,
+    ) => {
+      if (!state.active || seen.get(signature)) {
+        return
+      }
+
+      seen.set(signature, true)
+
+      if (err && !includeFailed) {
+        return
+      }
+
+      const executed = instructionsFromLogs(logs, programId)
+
+      if (
+        instructionFilter.length > 0 &&
+        !executed.some((name) => instructionFilter.includes(name))
+      ) {
+        return
+      }
+
+      if (accountFilter.length > 0) {
+        let referencingTransaction = transaction
+
+        if (!referencingTransaction) {
+          referencingTransaction = await fetchTransaction(signature)
+        }
+
+        // not queryable yet, the next check will pick it up
+        if (!referencingTransaction) {
+          seen.delete(signature)
+
+          return
+        }
+
+        const referenced = accountKeysForTransaction(referencingTransaction)
+
+        if (!referenced.some((key) => accountFilter.includes(key))) {
+          return
+        }
+      }
+
+      callback({ signature, instructions: executed, logs, err }, context)
+    }
+
+    const subscribe = () => {
+      state.subscriptionId = this.connection.onLogs(
+        this.program.programId,
+        (logs, context) => {
+          state.notified = true
+          handle(logs, context).catch((error) =>
+            onError(toNinaError(error, this.program)),
+          )
+        },
+        commitment,
+      )
+    }
+
+    const unsubscribeSocket = () => {
+      if (state.subscriptionId !== undefined) {
+        this.connection
+          .removeOnLogsListener(state.subscriptionId)
+          .catch(() => undefined)
+        state.subscriptionId = undefined
+      }
+    }
+
+    const check = async () => {
+      try {
+        const initialized = state.lastSignature !== undefined
+
+        const signatures = await this.connection.getSignaturesForAddress(
+          this.program.programId,
+          { until: state.lastSignature, limit: initialized ? 100 : 1 },
+          commitment,
+        )
+
+        if (signatures.length === 0) {
+          return
+        }
+
+        state.lastSignature = signatures[0].signature
+
+        if (!initialized) {
+          return
+        }
+
+        const unseen = signatures
+          .filter(({ signature }) => !seen.get(signature))
+          .reverse()
+
+        if (unseen.length > 0 && !state.notified && mode === 'websocket') {
+          unsubscribeSocket()
+          subscribe()
+        }
+
+        state.notified = false
+        for await (const { signature } of unseen) {
+          const transaction = await fetchTransaction(signature)
+
+          if (transaction) {
+            await handle(
+              {
+                signature,
+                err: transaction.meta.err,
+                logs: transaction.meta.logMessages,
+              },
+              { slot: transaction.slot },
+              transaction,
+            )
+          }
+        }
+      } catch (error) {
+        onError(toNinaError(error, this.program))
+      }
+    }
+
+    if (mode === 'websocket') {
+      subscribe()
+    }
+
+    check()
+    const timer = setInterval(check, interval)
+
+    return {
+      unsubscribe: () => {
+        state.active = false
+        clearInterval(timer)
+        unsubscribeSocket()
+      },
+    }
+  }
+}